@@ -0,0 +1,716 @@
+import { parseArgs } from "util";
+import { connectClient, readVersion } from "./migrate.utils.js";
+import { resolveConfig } from "./migrate.config.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { createLogger } from "./migrate.logger.js";
+
+import handleSetup from "./migrate.setup.js";
+import handleUp from "./migrate.up.js";
+import handleDown from "./migrate.down.js";
+import handleGenerate from "./migrate.generate.js";
+import handleGenerateRevert from "./migrate.invert.js";
+import handleRedo from "./migrate.redo.js";
+import handleReset, { assertResetAllowed } from "./migrate.reset.js";
+import handleStatus from "./migrate.status.js";
+import handleHistory from "./migrate.history.js";
+import handleVerify from "./migrate.verify.js";
+import handleRepair from "./migrate.repair.js";
+import handleSchemas from "./migrate.schemas.js";
+import handleValidate from "./migrate.validate.js";
+import handleDump from "./migrate.dump.js";
+import handleLoad from "./migrate.load.js";
+
+/**
+ * @typedef {import("pg").Client} Client
+ */
+
+export { readVersion };
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  MIGRATION_FAILED: 1,
+  USAGE: 2,
+  CONFIG: 3,
+  CONNECTION: 4,
+  LOCK_TIMEOUT: 5,
+  CHECKSUM_MISMATCH: 6,
+  INVALID_MIGRATIONS: 7,
+  OUT_OF_ORDER: 8,
+  IRREVERSIBLE: 9,
+};
+
+const EXIT_CODES_BY_ERROR = {
+  [ERROR_CODES.USAGE]: EXIT_CODES.USAGE,
+  [ERROR_CODES.CONFIG]: EXIT_CODES.CONFIG,
+  [ERROR_CODES.CONNECTION]: EXIT_CODES.CONNECTION,
+  [ERROR_CODES.LOCK_TIMEOUT]: EXIT_CODES.LOCK_TIMEOUT,
+  [ERROR_CODES.CHECKSUM_MISMATCH]: EXIT_CODES.CHECKSUM_MISMATCH,
+  [ERROR_CODES.INVALID_MIGRATIONS]: EXIT_CODES.INVALID_MIGRATIONS,
+  [ERROR_CODES.OUT_OF_ORDER]: EXIT_CODES.OUT_OF_ORDER,
+  [ERROR_CODES.IRREVERSIBLE]: EXIT_CODES.IRREVERSIBLE,
+};
+
+/**
+ * Picks the exit code for an error. Errors from `util.parseArgs` count as usage errors,
+ * and untagged errors as a failed migration.
+ *
+ * @param {Error} error - The error the command failed with.
+ * @returns {number} One of `EXIT_CODES`.
+ */
+export const exitCodeFor = (error) => {
+  if (error.code in EXIT_CODES_BY_ERROR) return EXIT_CODES_BY_ERROR[error.code];
+  if (String(error.code).startsWith("ERR_PARSE_ARGS")) return EXIT_CODES.USAGE;
+  return EXIT_CODES.MIGRATION_FAILED;
+};
+
+const GLOBAL_OPTIONS = {
+  help: { type: "boolean", short: "h" },
+  "database-url": { type: "string" },
+  "migrations-dir": { type: "string" },
+  env: { type: "string" },
+  json: { type: "boolean" },
+  quiet: { type: "boolean", short: "q" },
+};
+
+const OUT_OF_ORDER_OPTIONS = {
+  "out-of-order": { type: "string" },
+};
+
+const DUMP_OPTIONS = {
+  "dump-schema": { type: "boolean" },
+  "schema-file": { type: "string" },
+};
+
+const LOCK_OPTIONS = {
+  "no-lock": { type: "boolean" },
+  "lock-timeout": { type: "string" },
+};
+
+const SCHEMA_OPTIONS = {
+  schema: { type: "string", multiple: true },
+  "all-schemas": { type: "string" },
+  "fail-fast": { type: "boolean" },
+};
+
+const PLAN_OPTIONS = {
+  "dry-run": { type: "boolean" },
+  output: { type: "string" },
+  "no-validate": { type: "boolean" },
+};
+
+const GLOBAL_HELP = [
+  [
+    "--database-url <url>",
+    "Connection string, overriding DATABASE_URL and config files",
+  ],
+  ["--migrations-dir <dir>", "Directory holding the migrations"],
+  [
+    "--env <env>",
+    "Environment to read the configuration for (default: NODE_ENV or development)",
+  ],
+  ["--json", "Print newline-delimited JSON events instead of text"],
+  ["-q, --quiet", "Only print warnings, errors and the output of the command"],
+  ["-h, --help", "Show help"],
+];
+
+const OUT_OF_ORDER_HELP = [
+  [
+    "--out-of-order <policy>",
+    "Pending migrations older than the newest applied one: strict, allow or ignore (default: allow)",
+  ],
+];
+
+const FORCE_HELP = [
+  [
+    "--force",
+    "Revert irreversible migrations and ones with an empty revert anyway",
+  ],
+];
+
+const SCHEMA_FILE_HELP = [
+  ["--schema-file <file>", "The schema snapshot file (default: schema.sql)"],
+];
+
+const DUMP_HELP = [
+  ["--dump-schema", "Write the schema snapshot when done"],
+  ...SCHEMA_FILE_HELP,
+];
+
+const LOCK_HELP = [
+  ["--no-lock", "Run without the advisory lock"],
+  [
+    "--lock-timeout <ms>",
+    "How long to wait for another run to finish (default: 60000)",
+  ],
+];
+
+const SCHEMA_HELP = [
+  ["--schema <name>", "Run in this schema; repeat for several"],
+  [
+    "--all-schemas <pattern>",
+    "Run in every schema matching a LIKE pattern, e.g. 'tenant_%'",
+  ],
+  ["--fail-fast", "Skip the remaining schemas after the first failure"],
+];
+
+const PLAN_HELP = [
+  ["--dry-run", "Print the SQL that would run without running it"],
+  ["--output <file>", "With --dry-run, also write the plan to a SQL script"],
+  ["--no-validate", "Skip checking the migrations directory first"],
+];
+
+/**
+ * Runs a command in every schema selected by `--schema` or `--all-schemas`, or once without them.
+ * @param {Client} client - The PostgreSQL client instance.
+ * @param {Object} values - The parsed flags.
+ * @param {Object} options - The options of the command, for the logger.
+ * @param {function(Object): Promise<*>} action - Runs the command with extra options for a schema.
+ * @returns {Promise<*>} A promise that resolves when the command has run everywhere.
+ */
+const inSchemas = (client, values, options, action) =>
+  values.schema || values["all-schemas"]
+    ? handleSchemas(client, action, {
+        schemas: values.schema,
+        pattern: values["all-schemas"],
+        failFast: values["fail-fast"],
+        logger: options.logger,
+      })
+    : action({});
+
+/**
+ * Builds the lock options from the parsed flags.
+ * @param {Object} values - The parsed flags.
+ * @returns {{lock: boolean, lockTimeout: string|undefined}} The lock options.
+ */
+const lockOptions = (values) => ({
+  lock: !values["no-lock"],
+  lockTimeout: values["lock-timeout"],
+});
+
+/**
+ * The commands of the CLI. Commands with `connects` set get a database client;
+ * the others never open a connection.
+ */
+export const COMMANDS = {
+  setup: {
+    summary: "Create or upgrade the migrations table",
+    usage: "setup [options]",
+    options: { ...LOCK_OPTIONS, ...SCHEMA_OPTIONS },
+    help: [...LOCK_HELP, ...SCHEMA_HELP],
+    connects: true,
+    run: ({ client, values, options }) =>
+      inSchemas(client, values, options, (schemaOptions) =>
+        handleSetup(client, {
+          ...options,
+          ...lockOptions(values),
+          ...schemaOptions,
+        })
+      ),
+  },
+
+  generate: {
+    summary: "Generate new migration files",
+    usage: "generate <name> [<column>:<type>...] [options]",
+    options: {
+      "single-file": { type: "boolean" },
+      template: { type: "string" },
+      table: { type: "string" },
+      "templates-dir": { type: "string" },
+      "draft-revert": { type: "boolean" },
+    },
+    help: [
+      ["--single-file", "Keep both directions in one .sql file"],
+      [
+        "--template <name>",
+        "Generate from a template: create-table, add-column, add-index, rename-column or a user template (default: inferred from the name)",
+      ],
+      ["--table <name>", "The table for the template"],
+      ["--templates-dir <dir>", "Directory holding user templates"],
+      ["--draft-revert", "Draft the revert from the generated apply SQL"],
+    ],
+    connects: false,
+    run: ({ values, positionals, options }) => {
+      const [name, ...columns] = positionals;
+      if (!name) {
+        throw createError(ERROR_CODES.USAGE, "A migration name is required.");
+      }
+      return handleGenerate(name, {
+        ...options,
+        singleFile: values["single-file"],
+        template: values.template,
+        table: values.table,
+        columns,
+        draftRevert: values["draft-revert"],
+      });
+    },
+  },
+
+  "generate-revert": {
+    summary: "Draft the .revert.sql of a migration from its .apply.sql",
+    usage: "generate-revert <migration> [--force] [options]",
+    options: { force: { type: "boolean" } },
+    help: [["--force", "Replace a revert file that has already been written"]],
+    connects: false,
+    run: ({ values, positionals, options }) => {
+      const [migration] = positionals;
+      if (!migration) {
+        throw createError(
+          ERROR_CODES.USAGE,
+          "A migration filename or timestamp is required."
+        );
+      }
+      return handleGenerateRevert(migration, {
+        ...options,
+        force: values.force,
+      });
+    },
+  },
+
+  up: {
+    summary: "Apply pending migrations",
+    usage: "up [[--to] <timestamp>] [options]",
+    options: {
+      to: { type: "string" },
+      "no-verify": { type: "boolean" },
+      "single-transaction": { type: "boolean" },
+      ...OUT_OF_ORDER_OPTIONS,
+      ...DUMP_OPTIONS,
+      ...LOCK_OPTIONS,
+      ...PLAN_OPTIONS,
+      ...SCHEMA_OPTIONS,
+    },
+    help: [
+      [
+        "--to <timestamp>",
+        "Apply migrations up to and including this timestamp",
+      ],
+      ["--no-verify", "Skip the checksum check of applied migrations"],
+      ["--single-transaction", "Apply all migrations in one transaction"],
+      ...OUT_OF_ORDER_HELP,
+      ...DUMP_HELP,
+      ...LOCK_HELP,
+      ...PLAN_HELP,
+      ...SCHEMA_HELP,
+    ],
+    connects: true,
+    run: ({ client, values, positionals, options }) => {
+      // A bare timestamp is the target: `--to`.
+      const [target, ...unexpected] = values.to
+        ? [undefined, ...positionals]
+        : positionals;
+      if (unexpected.length > 0) {
+        throw createError(
+          ERROR_CODES.USAGE,
+          `Unexpected arguments for up: ${unexpected.join(" ")}`
+        );
+      }
+      return inSchemas(client, values, options, (schemaOptions) =>
+        handleUp(client, values.to || target, {
+          ...options,
+          ...lockOptions(values),
+          ...schemaOptions,
+          dryRun: values["dry-run"],
+          output: values.output,
+          validate: !values["no-validate"],
+          verify: !values["no-verify"],
+          singleTransaction: values["single-transaction"],
+          dumpSchema: options.dumpSchema || values["dump-schema"],
+        })
+      );
+    },
+  },
+
+  down: {
+    summary: "Revert applied migrations (the last one by default)",
+    usage:
+      "down [--steps <n> | --to <timestamp> | [--from] <timestamp> | --all | --batch [<n>]] [--force] [options]",
+    options: {
+      steps: { type: "string" },
+      to: { type: "string" },
+      from: { type: "string" },
+      all: { type: "boolean" },
+      batch: { type: "boolean" },
+      force: { type: "boolean" },
+      ...DUMP_OPTIONS,
+      ...LOCK_OPTIONS,
+      ...PLAN_OPTIONS,
+      ...SCHEMA_OPTIONS,
+    },
+    help: [
+      ["--steps <n>", "Revert the last n migrations"],
+      ["--to <timestamp>", "Revert every migration after this timestamp"],
+      [
+        "--from <timestamp>",
+        "Revert every migration at or after this timestamp",
+      ],
+      ["--all", "Revert every applied migration"],
+      [
+        "--batch [<n>]",
+        "Revert the migrations applied by one 'up' run (default: the latest)",
+      ],
+      ...FORCE_HELP,
+      ...DUMP_HELP,
+      ...LOCK_HELP,
+      ...PLAN_HELP,
+      ...SCHEMA_HELP,
+    ],
+    connects: true,
+    run: ({ client, values, positionals, options }) => {
+      // Like `up`, a bare timestamp is the target: `--from`, or the batch with `--batch`.
+      const [target, ...unexpected] = values.from
+        ? [undefined, ...positionals]
+        : positionals;
+      if (unexpected.length > 0) {
+        throw createError(
+          ERROR_CODES.USAGE,
+          `Unexpected arguments for down: ${unexpected.join(" ")}`
+        );
+      }
+      return inSchemas(client, values, options, (schemaOptions) =>
+        handleDown(client, values.batch ? values.from : values.from || target, {
+          ...options,
+          ...lockOptions(values),
+          ...schemaOptions,
+          dryRun: values["dry-run"],
+          output: values.output,
+          validate: !values["no-validate"],
+          steps: values.steps,
+          to: values.to,
+          all: values.all,
+          batch: values.batch ? target || true : undefined,
+          force: values.force,
+          dumpSchema: options.dumpSchema || values["dump-schema"],
+        })
+      );
+    },
+  },
+
+  redo: {
+    summary: "Revert the last migrations and apply them again",
+    usage: "redo [--steps <n>] [--force] [options]",
+    options: {
+      steps: { type: "string" },
+      force: { type: "boolean" },
+      ...OUT_OF_ORDER_OPTIONS,
+      ...LOCK_OPTIONS,
+      ...SCHEMA_OPTIONS,
+    },
+    help: [
+      ["--steps <n>", "Redo the last n migrations (default: 1)"],
+      ...FORCE_HELP,
+      ...OUT_OF_ORDER_HELP,
+      ...LOCK_HELP,
+      ...SCHEMA_HELP,
+    ],
+    connects: true,
+    run: ({ client, values, options }) =>
+      inSchemas(client, values, options, (schemaOptions) =>
+        handleRedo(client, {
+          ...options,
+          ...lockOptions(values),
+          ...schemaOptions,
+          steps: values.steps,
+          force: values.force,
+        })
+      ),
+  },
+
+  reset: {
+    summary: "Revert every migration and apply them all again",
+    usage: "reset [--force] [options]",
+    options: {
+      force: { type: "boolean" },
+      ...OUT_OF_ORDER_OPTIONS,
+      ...LOCK_OPTIONS,
+      ...SCHEMA_OPTIONS,
+    },
+    help: [
+      [
+        "--force",
+        "Reset even when the environment is production or a migration is irreversible",
+      ],
+      ...OUT_OF_ORDER_HELP,
+      ...LOCK_HELP,
+      ...SCHEMA_HELP,
+    ],
+    connects: true,
+    run: ({ client, values, options }) => {
+      assertResetAllowed({ env: options.env, force: values.force });
+      return inSchemas(client, values, options, (schemaOptions) =>
+        handleReset(client, {
+          ...options,
+          ...lockOptions(values),
+          ...schemaOptions,
+          force: values.force,
+        })
+      );
+    },
+  },
+
+  status: {
+    summary: "Show applied, pending and missing migrations",
+    usage: "status [options]",
+    options: { ...OUT_OF_ORDER_OPTIONS, ...SCHEMA_OPTIONS },
+    help: [...OUT_OF_ORDER_HELP, ...SCHEMA_HELP],
+    connects: true,
+    run: ({ client, values, options }) =>
+      inSchemas(client, values, options, (schemaOptions) =>
+        handleStatus(client, {
+          ...options,
+          ...schemaOptions,
+          json: values.json,
+        })
+      ),
+  },
+
+  history: {
+    summary: "Show who applied which migrations, when, and how long they took",
+    usage: "history [--since <date>] [--until <date>] [--batch <n>] [options]",
+    options: {
+      since: { type: "string" },
+      until: { type: "string" },
+      batch: { type: "string" },
+      ...SCHEMA_OPTIONS,
+    },
+    help: [
+      ["--since <date>", "Only migrations applied at or after this date"],
+      [
+        "--until <date>",
+        "Only migrations applied at or before this date, or on it if it has no time",
+      ],
+      ["--batch <n>", "Only migrations applied in this batch"],
+      ...SCHEMA_HELP,
+    ],
+    connects: true,
+    run: ({ client, values, options }) =>
+      inSchemas(client, values, options, (schemaOptions) =>
+        handleHistory(client, {
+          ...options,
+          ...schemaOptions,
+          json: values.json,
+          since: values.since,
+          until: values.until,
+          batch: values.batch,
+        })
+      ),
+  },
+
+  verify: {
+    summary: "Check applied migrations against their recorded checksums",
+    usage: "verify [options]",
+    options: {},
+    help: [],
+    connects: true,
+    run: ({ client, options }) => handleVerify(client, options),
+  },
+
+  repair: {
+    summary: "Record the current checksums of applied migrations",
+    usage: "repair [options]",
+    options: {},
+    help: [],
+    connects: true,
+    run: ({ client, options }) => handleRepair(client, options),
+  },
+
+  "schema:dump": {
+    summary: "Write a SQL snapshot of the database schema",
+    usage: "schema:dump [--schema-file <file>] [options]",
+    options: { "schema-file": { type: "string" } },
+    help: SCHEMA_FILE_HELP,
+    connects: true,
+    run: ({ client, options }) => handleDump(client, options),
+  },
+
+  "schema:load": {
+    summary: "Load the schema snapshot into an empty database",
+    usage: "schema:load [--schema-file <file>] [--force] [options]",
+    options: {
+      "schema-file": { type: "string" },
+      force: { type: "boolean" },
+      ...LOCK_OPTIONS,
+    },
+    help: [
+      ...SCHEMA_FILE_HELP,
+      ["--force", "Load the snapshot even if the database is not empty"],
+      ...LOCK_HELP,
+    ],
+    connects: true,
+    run: ({ client, values, options }) =>
+      handleLoad(client, {
+        ...options,
+        ...lockOptions(values),
+        force: values.force,
+      }),
+  },
+
+  validate: {
+    summary: "Check the migration files for mistakes",
+    usage: "validate [options]",
+    options: {},
+    help: [],
+    connects: false,
+    run: ({ options }) => handleValidate(options),
+  },
+};
+
+COMMANDS.lint = {
+  ...COMMANDS.validate,
+  summary: "Same as validate",
+  usage: "lint [options]",
+};
+
+/**
+ * Formats rows of flags and descriptions as aligned lines.
+ * @param {string[][]} rows - The flags and their descriptions.
+ * @returns {string[]} The lines.
+ */
+const formatRows = (rows) => {
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(
+    ([flag, description]) => `  ${flag.padEnd(width)}  ${description}`
+  );
+};
+
+/**
+ * Formats the help text of the CLI or of one command.
+ * @param {string} [commandName] - The command to describe, all commands if omitted.
+ * @returns {string} The help text.
+ */
+export const formatHelp = (commandName) => {
+  const command = COMMANDS[commandName];
+  if (!command) {
+    return [
+      "Usage: sql-migrate <command> [options]",
+      "",
+      "Commands:",
+      ...formatRows(
+        Object.entries(COMMANDS).map(([name, { summary }]) => [name, summary])
+      ),
+      "",
+      "Options:",
+      ...formatRows([...GLOBAL_HELP, ["-v, --version", "Show the version"]]),
+      "",
+      "Run 'sql-migrate help <command>' for the options of a command.",
+    ].join("\n");
+  }
+
+  return [
+    `Usage: sql-migrate ${command.usage}`,
+    "",
+    command.summary + ".",
+    "",
+    "Options:",
+    ...formatRows([...command.help, ...GLOBAL_HELP]),
+  ].join("\n");
+};
+
+/**
+ * Connects to the database, tagging failures as connection errors
+ * unless the configuration itself is incomplete.
+ *
+ * @param {function(Object): Promise<Client>} connect - Connects a client.
+ * @param {Object} connection - The connection config.
+ * @returns {Promise<Client>} A promise that resolves to the connected client.
+ * @throws {Error} If the connection fails.
+ */
+const connectOrFail = async (connect, connection) => {
+  try {
+    return await connect(connection);
+  } catch (error) {
+    if (error.code === ERROR_CODES.CONFIG) throw error;
+    throw createError(
+      ERROR_CODES.CONNECTION,
+      `Could not connect to the database: ${error.message}`,
+      { cause: error }
+    );
+  }
+};
+
+/**
+ * Runs the CLI with the given arguments. Only commands that need the database connect to it.
+ *
+ * @param {string[]} args - The command line arguments, without the node and script paths.
+ * @param {Object} [dependencies] - Overrides for testing.
+ * @param {function(Object): Promise<Client>} [dependencies.connect=connectClient] - Connects a client.
+ * @returns {Promise<number>} A promise that resolves to the exit code, one of `EXIT_CODES`.
+ */
+export const runCli = async (args, { connect = connectClient } = {}) => {
+  let client;
+  let logger = createLogger();
+
+  try {
+    const [commandName, ...rest] = args;
+
+    if (commandName === "--version" || commandName === "-v") {
+      console.log(readVersion());
+      return EXIT_CODES.SUCCESS;
+    }
+    if (!commandName || ["help", "--help", "-h"].includes(commandName)) {
+      const [topic] = rest;
+      if (topic && !COMMANDS[topic]) {
+        throw createError(ERROR_CODES.USAGE, `Unknown command: ${topic}`);
+      }
+      console.log(formatHelp(topic));
+      return commandName ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+      throw createError(ERROR_CODES.USAGE, `Unknown command: ${commandName}`);
+    }
+
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+    if (values.help) {
+      console.log(formatHelp(commandName));
+      return EXIT_CODES.SUCCESS;
+    }
+    logger = createLogger({ json: values.json, quiet: values.quiet });
+
+    const config = await resolveConfig({
+      databaseUrl: values["database-url"],
+      migrationsDir: values["migrations-dir"],
+      env: values.env,
+      outOfOrder: values["out-of-order"],
+      templatesDir: values["templates-dir"],
+      schemaFile: values["schema-file"],
+    });
+    if (command.connects) {
+      client = await connectOrFail(connect, config.connection);
+    }
+
+    await command.run({
+      client,
+      values,
+      positionals,
+      options: {
+        migrationsDir: config.migrationsDir,
+        tableSchema: config.tableSchema,
+        tableName: config.tableName,
+        env: config.env,
+        outOfOrder: config.outOfOrder,
+        templatesDir: config.templatesDir,
+        schemaFile: config.schemaFile,
+        dumpSchema: config.dumpSchema,
+        logger,
+      },
+    });
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    if (exitCode === EXIT_CODES.USAGE) {
+      logger.error(`${error.message}\n\nRun 'sql-migrate help' for usage.`);
+    } else {
+      logger.error(`Migration error: ${error.message}`);
+    }
+    return exitCode;
+  } finally {
+    if (client) await client.end();
+  }
+};
+
+export default runCli;
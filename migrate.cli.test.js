@@ -0,0 +1,179 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  runCli,
+  exitCodeFor,
+  formatHelp,
+  readVersion,
+  EXIT_CODES,
+} from "./migrate.cli.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp, getAppliedMigrations } from "./migrate.up.js";
+import { silentLogger } from "./migrate.logger.js";
+
+describe("exitCodeFor", () => {
+  it("should map tagged errors to their exit code", () => {
+    assert.strictEqual(
+      exitCodeFor(createError(ERROR_CODES.LOCK_TIMEOUT, "Locked")),
+      EXIT_CODES.LOCK_TIMEOUT
+    );
+    assert.strictEqual(
+      exitCodeFor(createError(ERROR_CODES.CHECKSUM_MISMATCH, "Modified")),
+      EXIT_CODES.CHECKSUM_MISMATCH
+    );
+  });
+
+  it("should treat argument parsing errors as usage errors", () => {
+    const error = Object.assign(new TypeError("Unknown option"), {
+      code: "ERR_PARSE_ARGS_UNKNOWN_OPTION",
+    });
+    assert.strictEqual(exitCodeFor(error), EXIT_CODES.USAGE);
+  });
+
+  it("should treat any other error as a failed migration", () => {
+    const error = Object.assign(new Error('relation "users" already exists'), {
+      code: "42P07",
+    });
+    assert.strictEqual(exitCodeFor(error), EXIT_CODES.MIGRATION_FAILED);
+  });
+});
+
+describe("formatHelp", () => {
+  it("should list every command", () => {
+    const help = formatHelp();
+    for (const command of ["setup", "generate", "up", "down", "status"]) {
+      assert.match(help, new RegExp(`^  ${command} `, "m"));
+    }
+    assert.match(help, /^  -v, --version /m);
+  });
+
+  it("should list the options of a command", () => {
+    const help = formatHelp("down");
+    assert.match(help, /^Usage: sql-migrate down/);
+    assert.match(help, /--steps <n>/);
+    assert.match(help, /--database-url <url>/);
+  });
+});
+
+describe("runCli", () => {
+  let migrationsDir;
+  let connections;
+  const connect = async () => {
+    connections++;
+    throw Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:5432"), {
+      code: "ECONNREFUSED",
+    });
+  };
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    connections = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  it("should print the version", async () => {
+    assert.match(readVersion(), /^\d+\.\d+\.\d+/);
+    assert.strictEqual(await runCli(["--version"], { connect }), 0);
+    assert.strictEqual(await runCli(["-v"], { connect }), 0);
+    assert.strictEqual(connections, 0);
+  });
+
+  it("should fail on an unknown command or flag", async () => {
+    assert.strictEqual(await runCli(["migrate"], { connect }), 2);
+    assert.strictEqual(await runCli(["up", "--bogus"], { connect }), 2);
+    assert.strictEqual(connections, 0);
+  });
+
+  it("should print help without connecting", async () => {
+    assert.strictEqual(await runCli(["help", "up"], { connect }), 0);
+    assert.strictEqual(await runCli(["up", "--help"], { connect }), 0);
+    assert.strictEqual(connections, 0);
+  });
+
+  it("should generate migrations without connecting", async () => {
+    const exitCode = await runCli(
+      ["generate", "create_likes_table", "--migrations-dir", migrationsDir],
+      { connect }
+    );
+    assert.strictEqual(exitCode, 0);
+    assert.strictEqual(connections, 0);
+    assert.strictEqual(fs.readdirSync(migrationsDir).length, 2);
+  });
+
+  it("should validate migrations without connecting", async () => {
+    const args = ["validate", "--migrations-dir", migrationsDir];
+    assert.strictEqual(await runCli(args, { connect }), EXIT_CODES.SUCCESS);
+
+    fs.writeFileSync(path.join(migrationsDir, "create_likes_table.sql"), "");
+    assert.strictEqual(
+      await runCli(["lint", "--migrations-dir", migrationsDir], { connect }),
+      EXIT_CODES.INVALID_MIGRATIONS
+    );
+    assert.strictEqual(connections, 0);
+  });
+
+  it("should reject arguments up doesn't take", async () => {
+    const stubClient = async () => ({ end: async () => {} });
+    assert.strictEqual(
+      await runCli(["up", "20230922034400002", "20230922034400003"], {
+        connect: stubClient,
+      }),
+      EXIT_CODES.USAGE
+    );
+    assert.strictEqual(
+      await runCli(["up", "--to", "20230922034400002", "20230922034400003"], {
+        connect: stubClient,
+      }),
+      EXIT_CODES.USAGE
+    );
+  });
+
+  it("should reject arguments down doesn't take", async () => {
+    const stubClient = async () => ({ end: async () => {} });
+    assert.strictEqual(
+      await runCli(["down", "20230922034400002", "20230922034400003"], {
+        connect: stubClient,
+      }),
+      EXIT_CODES.USAGE
+    );
+    assert.strictEqual(
+      await runCli(
+        ["down", "--from", "20230922034400002", "20230922034400003"],
+        {
+          connect: stubClient,
+        }
+      ),
+      EXIT_CODES.USAGE
+    );
+  });
+
+  it("should revert from a timestamp given to down without --from", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, undefined, { logger: silentLogger });
+      assert.strictEqual(
+        await runCli(["down", "20230922034400002", "--quiet"]),
+        EXIT_CODES.SUCCESS
+      );
+      assert.deepStrictEqual(await getAppliedMigrations(client), [
+        "20230922034400001_create_users_table.apply.sql",
+      ]);
+    });
+  });
+
+  it("should fail with the connection exit code when the database is unreachable", async () => {
+    const exitCode = await runCli(
+      ["status", "--migrations-dir", migrationsDir],
+      { connect }
+    );
+    assert.strictEqual(exitCode, EXIT_CODES.CONNECTION);
+    assert.strictEqual(connections, 1);
+  });
+});
@@ -0,0 +1,179 @@
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+
+export const DEFAULT_ENV = "development";
+export const CONFIG_FILE_NAMES = [
+  "sql-migrate.config.js",
+  "sql-migrate.config.json",
+];
+
+const CONFIG_SETTINGS = [
+  "databaseUrl",
+  "connection",
+  "migrationsDir",
+  "tableSchema",
+  "tableName",
+  "outOfOrder",
+  "templatesDir",
+  "schemaFile",
+  "dumpSchema",
+];
+
+/**
+ * @typedef {Object} ResolvedConfig
+ * @property {string} env - The environment, e.g. "development".
+ * @property {string|null} configFile - The path of the config file that was read, if any.
+ * @property {Object} connection - The connection config passed to `pg.Client`.
+ * @property {string} migrationsDir - The absolute path of the directory holding the migrations.
+ * @property {string} tableSchema - The schema of the migrations table.
+ * @property {string} tableName - The name of the migrations table.
+ * @property {string|null} templatesDir - The absolute path of the directory holding user templates for `generate`, if any.
+ * @property {string} outOfOrder - What `up` does with pending migrations older than the newest applied one: "strict", "allow" or "ignore".
+ * @property {string} schemaFile - The absolute path of the schema snapshot `schema:dump` writes.
+ * @property {boolean} dumpSchema - Whether `up` and `down` write the schema snapshot when they finish.
+ */
+
+/**
+ * Reads the variables from the `.env.<env>` and `.db.<env>` files, without touching `process.env`.
+ * Values in `.db.<env>` take precedence.
+ *
+ * @param {string} env - The environment.
+ * @param {string} [cwd=process.cwd()] - The directory holding the files.
+ * @returns {Object<string, string>} The variables, empty if neither file exists.
+ */
+export const readEnvFiles = (env, cwd = process.cwd()) =>
+  [`.env.${env}`, `.db.${env}`].reduce((variables, filename) => {
+    const filePath = path.join(cwd, filename);
+    if (!fs.existsSync(filePath)) return variables;
+    return { ...variables, ...dotenv.parse(fs.readFileSync(filePath)) };
+  }, {});
+
+/**
+ * Builds a connection config from `DB_*` variables.
+ * @param {Object<string, string>} variables - The variables, e.g. `process.env`.
+ * @returns {Object} The connection config passed to `pg.Client`.
+ */
+export const connectionFromVariables = (variables) => ({
+  user: variables.DB_USER,
+  host: variables.DB_HOST,
+  database: variables.DB_NAME,
+  password: variables.DB_PASSWORD,
+  port: parseInt(variables.DB_PORT, 10),
+});
+
+/**
+ * Loads the first `sql-migrate.config.{js,json}` file found in a directory.
+ * A JavaScript config file default-exports the config object.
+ *
+ * @param {string} [cwd=process.cwd()] - The directory to look in.
+ * @returns {Promise<{path: string, config: Object}|null>} A promise that resolves to the config, or null if there is no config file.
+ * @throws {Error} If the config file cannot be parsed.
+ */
+export const loadConfigFile = async (cwd = process.cwd()) => {
+  const filePath = CONFIG_FILE_NAMES.map((filename) =>
+    path.join(cwd, filename)
+  ).find((candidate) => fs.existsSync(candidate));
+  if (!filePath) return null;
+
+  try {
+    if (filePath.endsWith(".json")) {
+      return {
+        path: filePath,
+        config: JSON.parse(fs.readFileSync(filePath, "utf8")),
+      };
+    }
+    const module = await import(pathToFileURL(filePath).href);
+    return { path: filePath, config: module.default || module };
+  } catch (error) {
+    throw createError(
+      ERROR_CODES.CONFIG,
+      `Invalid config file ${filePath}: ${error.message}`,
+      { cause: error }
+    );
+  }
+};
+
+/**
+ * Picks the settings for one environment from a config file. Settings at the top level
+ * apply to every environment; a section named after the environment overrides them.
+ *
+ * @param {Object} config - The content of the config file.
+ * @param {string} env - The environment.
+ * @returns {Object} The settings for the environment.
+ */
+export const configForEnv = (config, env) => {
+  const shared = Object.fromEntries(
+    Object.entries(config).filter(([key]) => CONFIG_SETTINGS.includes(key))
+  );
+  return { ...shared, ...(config[env] || {}) };
+};
+
+/**
+ * Resolves the configuration from, in order of precedence: explicit options such as CLI flags,
+ * the `DATABASE_URL` environment variable, the `sql-migrate.config.{js,json}` file, and the
+ * `.db.<env>` file along with the `DB_*` environment variables.
+ *
+ * @param {Object} [options] - Explicit options, e.g. from CLI flags.
+ * @param {string} [options.databaseUrl] - The connection string.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.env] - The environment, `NODE_ENV` or "development" by default.
+ * @param {string} [options.outOfOrder] - The out-of-order policy.
+ * @param {string} [options.templatesDir] - The directory holding user templates.
+ * @param {string} [options.schemaFile] - The schema snapshot file.
+ * @param {Object} [context] - Where to read from, for testing.
+ * @param {string} [context.cwd=process.cwd()] - The directory holding the config files.
+ * @param {Object<string, string>} [context.environment=process.env] - The environment variables.
+ * @returns {Promise<ResolvedConfig>} A promise that resolves to the configuration.
+ * @throws {Error} If the config file cannot be parsed.
+ */
+export const resolveConfig = async (
+  {
+    databaseUrl,
+    migrationsDir,
+    env,
+    outOfOrder,
+    templatesDir,
+    schemaFile,
+  } = {},
+  { cwd = process.cwd(), environment = process.env } = {}
+) => {
+  const resolvedEnv = env || environment.NODE_ENV || DEFAULT_ENV;
+  const configFile = await loadConfigFile(cwd);
+  const settings = configFile
+    ? configForEnv(configFile.config, resolvedEnv)
+    : {};
+  const variables = { ...readEnvFiles(resolvedEnv, cwd), ...environment };
+  const connectionString =
+    databaseUrl || environment.DATABASE_URL || settings.databaseUrl;
+
+  return {
+    env: resolvedEnv,
+    configFile: configFile ? configFile.path : null,
+    connection: connectionString
+      ? { connectionString }
+      : settings.connection || connectionFromVariables(variables),
+    migrationsDir: path.resolve(
+      cwd,
+      migrationsDir || settings.migrationsDir || `migrations_${resolvedEnv}/`
+    ),
+    tableSchema:
+      settings.tableSchema || variables.DB_MIGRATIONS_SCHEMA || "public",
+    tableName:
+      settings.tableName || variables.DB_MIGRATIONS_TABLE || "migrations",
+    outOfOrder: outOfOrder || settings.outOfOrder || "allow",
+    templatesDir:
+      templatesDir || settings.templatesDir
+        ? path.resolve(cwd, templatesDir || settings.templatesDir)
+        : null,
+    schemaFile: path.resolve(
+      cwd,
+      schemaFile || settings.schemaFile || "schema.sql"
+    ),
+    dumpSchema: Boolean(settings.dumpSchema),
+  };
+};
+
+export default resolveConfig;
@@ -0,0 +1,191 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  readEnvFiles,
+  configForEnv,
+  loadConfigFile,
+  resolveConfig,
+} from "./migrate.config.js";
+
+describe("configForEnv", () => {
+  it("should let the environment section override the shared settings", () => {
+    const config = {
+      migrationsDir: "db/migrations",
+      tableName: "schema_history",
+      development: { databaseUrl: "postgres://localhost/dev" },
+      production: { tableName: "prod_history" },
+    };
+    assert.deepStrictEqual(configForEnv(config, "production"), {
+      migrationsDir: "db/migrations",
+      tableName: "prod_history",
+    });
+    assert.deepStrictEqual(configForEnv(config, "development"), {
+      migrationsDir: "db/migrations",
+      tableName: "schema_history",
+      databaseUrl: "postgres://localhost/dev",
+    });
+  });
+});
+
+describe("resolveConfig", () => {
+  let cwd;
+
+  const writeFile = (filename, content) =>
+    fs.writeFileSync(path.join(cwd, filename), content);
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), "sql-migrate-config-"));
+    writeFile(
+      ".db.staging",
+      "DB_USER=staging_user\nDB_HOST=db.staging\nDB_NAME=app\nDB_PORT=5433\n"
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  it("should fall back to the .db.<env> file", async () => {
+    const config = await resolveConfig(
+      {},
+      { cwd, environment: { NODE_ENV: "staging" } }
+    );
+    assert.strictEqual(config.env, "staging");
+    assert.strictEqual(config.configFile, null);
+    assert.deepStrictEqual(config.connection, {
+      user: "staging_user",
+      host: "db.staging",
+      database: "app",
+      password: undefined,
+      port: 5433,
+    });
+    assert.strictEqual(
+      config.migrationsDir,
+      path.join(cwd, "migrations_staging")
+    );
+    assert.strictEqual(config.tableSchema, "public");
+    assert.strictEqual(config.tableName, "migrations");
+    assert.strictEqual(config.outOfOrder, "allow");
+    assert.strictEqual(config.schemaFile, path.join(cwd, "schema.sql"));
+    assert.strictEqual(config.dumpSchema, false);
+  });
+
+  it("should prefer the config file over the .db.<env> file", async () => {
+    writeFile(
+      "sql-migrate.config.json",
+      JSON.stringify({
+        migrationsDir: "db/migrations",
+        staging: {
+          databaseUrl: "postgres://config/staging",
+          tableSchema: "billing",
+          outOfOrder: "strict",
+          schemaFile: "db/schema.sql",
+          dumpSchema: true,
+        },
+      })
+    );
+    const config = await resolveConfig(
+      {},
+      { cwd, environment: { NODE_ENV: "staging" } }
+    );
+    assert.strictEqual(
+      config.configFile,
+      path.join(cwd, "sql-migrate.config.json")
+    );
+    assert.deepStrictEqual(config.connection, {
+      connectionString: "postgres://config/staging",
+    });
+    assert.strictEqual(config.migrationsDir, path.join(cwd, "db/migrations"));
+    assert.strictEqual(config.tableSchema, "billing");
+    assert.strictEqual(config.outOfOrder, "strict");
+    assert.strictEqual(config.schemaFile, path.join(cwd, "db/schema.sql"));
+    assert.strictEqual(config.dumpSchema, true);
+  });
+
+  it("should read a JavaScript config file", async () => {
+    writeFile("package.json", JSON.stringify({ type: "module" }));
+    writeFile(
+      "sql-migrate.config.js",
+      "export default { staging: { connection: { host: 'js.staging' } } };\n"
+    );
+    const { connection } = await resolveConfig(
+      {},
+      { cwd, environment: { NODE_ENV: "staging" } }
+    );
+    assert.deepStrictEqual(connection, { host: "js.staging" });
+  });
+
+  it("should prefer DATABASE_URL over the config file", async () => {
+    writeFile(
+      "sql-migrate.config.json",
+      JSON.stringify({ staging: { databaseUrl: "postgres://config/staging" } })
+    );
+    const { connection } = await resolveConfig(
+      {},
+      {
+        cwd,
+        environment: {
+          NODE_ENV: "staging",
+          DATABASE_URL: "postgres://env/staging",
+        },
+      }
+    );
+    assert.deepStrictEqual(connection, {
+      connectionString: "postgres://env/staging",
+    });
+  });
+
+  it("should prefer explicit options over everything else", async () => {
+    writeFile(
+      "sql-migrate.config.json",
+      JSON.stringify({
+        migrationsDir: "db/migrations",
+        production: { databaseUrl: "postgres://config/production" },
+      })
+    );
+    const config = await resolveConfig(
+      {
+        env: "production",
+        databaseUrl: "postgres://flag/production",
+        migrationsDir: "other/migrations",
+      },
+      {
+        cwd,
+        environment: {
+          NODE_ENV: "staging",
+          DATABASE_URL: "postgres://env/staging",
+        },
+      }
+    );
+    assert.strictEqual(config.env, "production");
+    assert.deepStrictEqual(config.connection, {
+      connectionString: "postgres://flag/production",
+    });
+    assert.strictEqual(
+      config.migrationsDir,
+      path.join(cwd, "other/migrations")
+    );
+  });
+
+  it("should report an invalid config file", async () => {
+    writeFile("sql-migrate.config.json", "{ not json");
+    await assert.rejects(
+      loadConfigFile(cwd),
+      /Invalid config file .*sql-migrate\.config\.json/
+    );
+  });
+
+  it("should not modify process.env", () => {
+    writeFile(".env.staging", "SQL_MIGRATE_CONFIG_TEST=1\n");
+    assert.deepStrictEqual(readEnvFiles("staging", cwd), {
+      SQL_MIGRATE_CONFIG_TEST: "1",
+      DB_USER: "staging_user",
+      DB_HOST: "db.staging",
+      DB_NAME: "app",
+      DB_PORT: "5433",
+    });
+    assert.strictEqual(process.env.SQL_MIGRATE_CONFIG_TEST, undefined);
+  });
+});
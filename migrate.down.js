@@ -1,11 +1,56 @@
-import { executeSQL, readMigrationContent } from "./migrate.utils.js";
 import {
-  getAppliedMigrations,
+  executeSQL,
+  executeMigration,
+  qualifyIdentifier,
+  quoteLiteral,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import { getAppliedMigrations } from "./migrate.up.js";
+import { withMigrationLock } from "./migrate.lock.js";
+import {
+  assertMigrationsTableUpToDate,
+  upgradeMigrationsTable,
+} from "./migrate.setup.js";
+import { assertValidMigrations } from "./migrate.validate.js";
+import { reportPlan } from "./migrate.plan.js";
+import { resolveLogger, trackMigration, trackRun } from "./migrate.logger.js";
+import { dumpSchema } from "./migrate.dump.js";
+import {
+  loadMigration,
+  readMigrationSource,
+  readMigrationSourceIfExists,
+  isRevertMigration,
+  isJavaScriptMigration,
   APPLY_MIGRATION_FILE_SUFFIX,
-} from "./migrate.up.js";
+  REVERT_MIGRATION_FILE_SUFFIX,
+  DOWN_SECTION_MARKER,
+} from "./migrate.loader.js";
+import {
+  hasDirective,
+  splitStatements,
+  IRREVERSIBLE_DIRECTIVE,
+} from "./migrate.sql.js";
+import { IRREVERSIBLE_MARKER, TODO_MARKER } from "./migrate.invert.js";
 import pg from "pg";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
 
-const REVERT_MIGRATION_FILE_SUFFIX = ".revert.sql";
+/**
+ * Compares the timestamp of a migration with a given timestamp. Timestamps of
+ * 17 digits don't fit in a Number, so they are compared as zero-padded strings.
+ *
+ * @param {string} migration - The filename of the migration.
+ * @param {string} migrationTimestamp - The timestamp to compare with.
+ * @returns {number} Negative if the migration is older, zero if equal, positive if newer.
+ */
+const compareToTimestamp = (migration, migrationTimestamp) => {
+  const migrationTime = migration.split("_")[0];
+  const timestamp = String(migrationTimestamp);
+  const width = Math.max(migrationTime.length, timestamp.length);
+  return migrationTime
+    .padStart(width, "0")
+    .localeCompare(timestamp.padStart(width, "0"));
+};
 
 /**
  * Filters migrations based on a given timestamp.
@@ -15,34 +60,71 @@ const REVERT_MIGRATION_FILE_SUFFIX = ".revert.sql";
  * @param {string} migrationTimestamp - The timestamp to filter by.
  * @returns {boolean} Whether the migration was applied after or at the given timestamp.
  */
-export const filterAfterOrAtTimestamp = (migration, migrationTimestamp) => {
-  const migrationTime = migration.split("_")[0];
-  return Number(migrationTime) >= Number(migrationTimestamp);
-};
+export const filterAfterOrAtTimestamp = (migration, migrationTimestamp) =>
+  compareToTimestamp(migration, migrationTimestamp) >= 0;
 
 /**
- * Reverts a migration.
+ * Filters migrations to those strictly after a given timestamp.
+ *
+ * @param {string} migration - The filename of the migration.
+ * @param {string} migrationTimestamp - The timestamp to filter by.
+ * @returns {boolean} Whether the migration is newer than the given timestamp.
+ */
+export const filterAfterTimestamp = (migration, migrationTimestamp) =>
+  compareToTimestamp(migration, migrationTimestamp) > 0;
+
+/**
+ * Builds the error for a file that can't be run to revert a migration, see `isRevertMigration`.
+ * @param {string} filename - The filename of the migration.
+ * @returns {Error} The error.
+ */
+const invalidRevertMigration = (filename) =>
+  new Error(
+    `Invalid migration file: ${filename}. A migration is reverted with a '${REVERT_MIGRATION_FILE_SUFFIX}' file, a single-file '<timestamp>_<name>.sql' migration with a '${DOWN_SECTION_MARKER}' section, or a '<timestamp>_<name>.js' migration exporting down.`
+  );
+
+/**
+ * Reverts a migration. The revert SQL and the removal of the migration's row
+ * from the migrations table commit or roll back together, unless the revert
+ * migration is marked `no-transaction`, see `executeMigration`.
  * @param {pg.Client} client - The PostgreSQL client instance.
  * @param {string} filename - The filename of the migration to revert.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives warnings, the console by default.
  * @returns {Promise<void>} A promise that resolves when the migration has been reverted.
  */
-export const revertMigration = async (client, filename) => {
-  if (!filename.endsWith(REVERT_MIGRATION_FILE_SUFFIX)) {
-    throw new Error(
-      "Invalid migration file. The filename must end with '.revert.sql'."
-    );
-  }
-  const migrationContent = await readMigrationContent(filename);
-  await executeSQL(client, migrationContent);
+export const revertMigration = async (
+  client,
+  filename,
+  {
+    migrationsDir,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+    logger,
+  } = {}
+) => {
+  if (!isRevertMigration(filename)) throw invalidRevertMigration(filename);
+  const applyFilename = revertToAppliedMigration(filename);
+  const { body } = await loadMigration(filename, "down", migrationsDir);
 
-  const applyFilename = filename.replace(
-    REVERT_MIGRATION_FILE_SUFFIX,
-    APPLY_MIGRATION_FILE_SUFFIX
+  await executeMigration(
+    client,
+    filename,
+    body,
+    () =>
+      executeSQL(
+        client,
+        `DELETE FROM ${qualifyIdentifier(
+          tableSchema,
+          tableName
+        )} WHERE filename = $1`,
+        [applyFilename]
+      ),
+    logger
   );
-
-  await executeSQL(client, "DELETE FROM migrations WHERE filename = $1", [
-    applyFilename,
-  ]);
 };
 
 /**
@@ -53,9 +135,19 @@ export const revertMigration = async (client, filename) => {
 export const appliedToRevertMigration = (filename) =>
   filename.replace(".apply.", ".revert.");
 
+/**
+ * Transforms the filename of a revert migration to the filename recorded in the migrations table.
+ * Single-file migrations are recorded under their own filename.
+ * @param {string} filename - The filename of the revert migration.
+ * @returns {string} The filename of the applied migration.
+ */
+export const revertToAppliedMigration = (filename) =>
+  filename.replace(REVERT_MIGRATION_FILE_SUFFIX, APPLY_MIGRATION_FILE_SUFFIX);
+
 /**
  * Determines which migrations to revert based on the applied migrations and a given timestamp.
- * Only migrations that were applied after or at the given timestamp and end with '.revert.sql' are included.
+ * Only migrations that were applied after or at the given timestamp are included.
+ * Every migration must be a '.revert.sql' file, a single-file or a JavaScript migration.
  *
  * @param {Array<string>} revertMigrations - The filenames of the revert migrations.
  * @param {string} migrationTimestamp - The timestamp to filter by.
@@ -68,11 +160,7 @@ export const determineMigrationsToRevert = (
   let migrations = revertMigrations;
 
   revertMigrations.forEach((filename) => {
-    if (!filename.endsWith(".revert.sql")) {
-      throw new Error(
-        "Invalid migration file. The filename must end with '.revert.sql'."
-      );
-    }
+    if (!isRevertMigration(filename)) throw invalidRevertMigration(filename);
   });
 
   if (migrationTimestamp) {
@@ -84,6 +172,61 @@ export const determineMigrationsToRevert = (
   return migrations;
 };
 
+/**
+ * Picks the migrations to revert from the applied ones, newest first.
+ * Only one target may be given; without any, the last applied migration is reverted.
+ *
+ * @param {Array<string>} revertMigrations - The revert migrations of every applied migration, newest first.
+ * @param {Object} [target] - What to revert.
+ * @param {string} [target.from] - Revert every migration at or after this timestamp.
+ * @param {string} [target.to] - Revert every migration after this timestamp, keeping the migration at it.
+ * @param {number|string} [target.steps=1] - Revert this many migrations.
+ * @param {boolean} [target.all] - Revert every applied migration.
+ * @param {number|string|boolean} [target.batch] - Revert the migrations of a batch, `true` for the latest one.
+ * @param {string[]} [batchMigrations=[]] - With `batch`, the applied migrations recorded in that batch.
+ * @throws {Error} If more than one target is given or steps is not a positive integer.
+ * @returns {Array<string>} The filenames of the migrations to revert.
+ */
+export const selectMigrationsToRevert = (
+  revertMigrations,
+  { from, to, steps, all, batch } = {},
+  batchMigrations = []
+) => {
+  const targets = [from, to, steps, all, batch].filter(
+    (target) => target != null && target !== false
+  );
+  if (targets.length > 1) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      "Only one of 'from', 'to', 'steps', 'all' or 'batch' can be given."
+    );
+  }
+
+  if (all) return revertMigrations;
+  if (batch != null && batch !== false) {
+    const inBatch = new Set(batchMigrations);
+    return revertMigrations.filter((migration) =>
+      inBatch.has(revertToAppliedMigration(migration))
+    );
+  }
+  if (from) {
+    return revertMigrations.filter((migration) =>
+      filterAfterOrAtTimestamp(migration, from)
+    );
+  }
+  if (to) {
+    return revertMigrations.filter((migration) =>
+      filterAfterTimestamp(migration, to)
+    );
+  }
+
+  const count = steps == null ? 1 : Number(steps);
+  if (!Number.isInteger(count) || count < 1) {
+    throw createError(ERROR_CODES.USAGE, "Steps must be a positive integer.");
+  }
+  return revertMigrations.slice(0, count);
+};
+
 /**
  * Sorts the migrations in reverse chronological order.
  * @param {string[]} migrations - An array of migration filenames.
@@ -98,41 +241,267 @@ const sortMigrationsInDescendingOrder = (migrations) => {
   });
 };
 
+/**
+ * Retrieves the applied migrations recorded in a batch.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {number|string|boolean} batch - The batch number, or `true` for the latest batch.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the batch is not a positive integer.
+ * @throws {Error} If the migrations table predates the `batch` column and needs `setup`.
+ * @returns {Promise<string[]>} A promise that resolves to the filenames of the migrations in the batch, empty if there is none.
+ */
+export const getBatchMigrations = async (
+  client,
+  batch,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  const table = qualifyIdentifier(tableSchema, tableName);
+  if (batch !== true) {
+    const batchNumber = Number(batch);
+    if (!Number.isInteger(batchNumber) || batchNumber < 1) {
+      throw createError(ERROR_CODES.USAGE, "Batch must be a positive integer.");
+    }
+    batch = batchNumber;
+  }
+  await assertMigrationsTableUpToDate(client, { tableSchema, tableName });
+
+  const { rows } =
+    batch === true
+      ? await client.query(
+          `SELECT filename FROM ${table} WHERE batch = (SELECT MAX(batch) FROM ${table})`
+        )
+      : await client.query(`SELECT filename FROM ${table} WHERE batch = $1`, [
+          batch,
+        ]);
+  return rows.map((row) => row.filename);
+};
+
+/**
+ * Finds the applied migrations to revert.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `migrateDown`.
+ * @returns {Promise<string[]>} A promise that resolves to the revert migrations, newest first.
+ */
+export const findMigrationsToRevert = async (client, options = {}) => {
+  const appliedMigrations = await getAppliedMigrations(client, options);
+  const sortedAppliedMigrations =
+    sortMigrationsInDescendingOrder(appliedMigrations);
+  const allRevertMigrations = sortedAppliedMigrations.map(
+    appliedToRevertMigration
+  );
+  const hasBatch = options.batch != null && options.batch !== false;
+  return selectMigrationsToRevert(
+    determineMigrationsToRevert(allRevertMigrations),
+    options,
+    hasBatch ? await getBatchMigrations(client, options.batch, options) : []
+  );
+};
+
+/**
+ * Tells why a migration can't be reverted: its apply or revert SQL is marked
+ * `-- sql-migrate: irreversible`, its drafted revert still has statements marked
+ * `-- IRREVERSIBLE` or `-- TODO: revert by hand`, or its revert SQL is empty or only comments, like the
+ * placeholder `generate` writes. JavaScript migrations are not checked.
+ *
+ * @param {string} filename - The filename of the revert migration.
+ * @param {string} [migrationsDir] - The directory holding the migrations.
+ * @returns {Promise<string|null>} A promise that resolves to the reason, or null if the migration can be reverted.
+ */
+export const findIrreversibleReason = async (filename, migrationsDir) => {
+  if (isJavaScriptMigration(filename)) return null;
+
+  const revertSql = await readMigrationSource(filename, "down", migrationsDir);
+  const applySql = await readMigrationSourceIfExists(
+    revertToAppliedMigration(filename),
+    "up",
+    migrationsDir
+  );
+  if (
+    hasDirective(revertSql, IRREVERSIBLE_DIRECTIVE) ||
+    (applySql != null && hasDirective(applySql, IRREVERSIBLE_DIRECTIVE))
+  ) {
+    return `it is marked '${IRREVERSIBLE_DIRECTIVE}'`;
+  }
+  const revertLines = revertSql.split(/\r?\n/).map((line) => line.trim());
+  if (revertLines.some((line) => line.startsWith(IRREVERSIBLE_MARKER))) {
+    return `its revert has statements marked '${IRREVERSIBLE_MARKER}'`;
+  }
+  if (revertLines.some((line) => line.startsWith(TODO_MARKER))) {
+    return `its revert has statements marked '${TODO_MARKER}'`;
+  }
+  if (splitStatements(revertSql).length === 0) {
+    return "its revert SQL is empty";
+  }
+  return null;
+};
+
+/**
+ * Checks that the migrations about to be reverted can be, see `findIrreversibleReason`.
+ * Reverting an irreversible migration would remove its row from the migrations table
+ * while its changes stay in the database, so it takes `force`.
+ *
+ * @param {string[]} migrations - The filenames of the revert migrations.
+ * @param {Object} [options] - Migration options.
+ * @param {boolean} [options.force] - Only warn about irreversible migrations.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the warnings, the console by default.
+ * @throws {Error} If a migration is irreversible and `force` is not set.
+ * @returns {Promise<void>} A promise that resolves when every migration has been checked.
+ */
+export const assertReversible = async (
+  migrations,
+  { force, migrationsDir, logger } = {}
+) => {
+  const irreversible = [];
+  for (const migration of migrations) {
+    const reason = await findIrreversibleReason(migration, migrationsDir);
+    if (reason) irreversible.push({ migration, reason });
+  }
+  if (irreversible.length === 0) return;
+
+  if (force) {
+    for (const { migration, reason } of irreversible) {
+      resolveLogger(logger).warn(`Reverting ${migration} anyway: ${reason}.`);
+    }
+    return;
+  }
+  throw createError(
+    ERROR_CODES.IRREVERSIBLE,
+    [
+      `Refusing to revert ${irreversible.length} irreversible migrations:`,
+      ...irreversible.map(
+        ({ migration, reason }) => `  - ${migration}: ${reason}`
+      ),
+      "Pass --force to run their revert SQL and remove them from the migrations table anyway.",
+    ].join("\n")
+  );
+};
+
+/**
+ * Builds the plan of what `down` would run, without touching the database.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `migrateDown`.
+ * @returns {Promise<import("./migrate.plan.js").PlannedMigration[]>} A promise that resolves to the planned migrations.
+ */
+export const planDown = async (client, options = {}) => {
+  const {
+    migrationsDir,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = options;
+  const plan = [];
+  for (const filename of await findMigrationsToRevert(client, options)) {
+    const applyFilename = revertToAppliedMigration(filename);
+    plan.push({
+      filename,
+      sql: await readMigrationSource(filename, "down", migrationsDir),
+      bookkeeping: `DELETE FROM ${qualifyIdentifier(
+        tableSchema,
+        tableName
+      )} WHERE filename = ${quoteLiteral(applyFilename)};`,
+    });
+  }
+  return plan;
+};
+
+/**
+ * Reverts applied migrations, newest first. Reverts the last applied migration unless a target is given.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.from] - Revert every migration at or after this timestamp.
+ * @param {string} [options.to] - Revert every migration after this timestamp, keeping the migration at it.
+ * @param {number|string} [options.steps=1] - Revert this many migrations.
+ * @param {boolean} [options.all] - Revert every applied migration.
+ * @param {number|string|boolean} [options.batch] - Revert the migrations applied by one `up` run, `true` for the latest.
+ * @param {boolean} [options.dryRun] - Only plan the migrations. Nothing is written and no lock is taken.
+ * @param {boolean} [options.validate=true] - Set to false to skip checking the migrations directory first.
+ * @param {boolean} [options.force] - Revert irreversible migrations too, see `assertReversible`.
+ * @param {boolean} [options.dumpSchema] - Write the schema snapshot once done, see `dumpSchema`.
+ * @param {string} [options.schemaFile] - The schema snapshot file.
+ * @param {boolean} [options.lock=true] - Set to false to run without the migration lock.
+ * @param {number} [options.lockTimeout] - How long to wait for the migration lock, in milliseconds.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the progress and the events of the run, the console by default.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If the migrations directory has a problem, see `assertValidMigrations`.
+ * @throws {Error} If a migration to revert is irreversible and `force` is not set.
+ * @returns {Promise<{reverted: string[], plan?: import("./migrate.plan.js").PlannedMigration[]}>} A promise that resolves to the reverted migrations, or the plan on a dry run.
+ */
+export const migrateDown = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+  if (options.validate !== false) {
+    await assertValidMigrations(options.migrationsDir);
+  }
+
+  if (options.dryRun) {
+    const plan = await planDown(client, options);
+    await assertReversible(
+      plan.map(({ filename }) => filename),
+      options
+    );
+    return { reverted: [], plan };
+  }
+
+  return withMigrationLock(
+    client,
+    async () => {
+      const logger = resolveLogger(options.logger);
+      await upgradeMigrationsTable(client, options);
+      const migrationsToRevert = await findMigrationsToRevert(client, options);
+      await assertReversible(migrationsToRevert, options);
+
+      const reverted = await trackRun(logger, "down", async () => {
+        for (const migration of migrationsToRevert) {
+          await trackMigration(logger, { migration, direction: "down" }, () =>
+            revertMigration(client, migration, options)
+          );
+        }
+        return migrationsToRevert;
+      });
+      if (options.dumpSchema) await dumpSchema(client, options);
+      return { reverted };
+    },
+    options
+  );
+};
+
 /**
  * Handles the migration down process.
  * @param {pg.Client} client - The PostgreSQL client instance.
- * @param {string} migrationTimestamp - The timestamp to filter by.
+ * @param {string} [migrationTimestamp] - Revert every migration at or after this timestamp. If not provided, `options` decides what is reverted.
+ * @param {Object} [options] - Migration options, see `migrateDown`.
+ * @param {string} [options.output] - On a dry run, the path to write the planned SQL script to.
  * @throws {Error} If the client is not provided.
  * @throws {Error} If there is a failure during the migration process.
- * @returns {Promise<void>} A promise that resolves when all migrations have been reverted.
+ * @returns {Promise<{reverted: string[]}>} A promise that resolves when all migrations have been reverted.
  */
-export const handleDown = async (client, migrationTimestamp) => {
+export const handleDown = async (client, migrationTimestamp, options = {}) => {
   if (!client) throw new Error("Client is not provided.");
+  const logger = resolveLogger(options.logger);
   try {
-    const appliedMigrations = await getAppliedMigrations(client);
-    const sortedAppliedMigrations =
-      sortMigrationsInDescendingOrder(appliedMigrations);
-    const allRevertMigrations = sortedAppliedMigrations.map(
-      appliedToRevertMigration
-    );
-    const migrationsToRevert = determineMigrationsToRevert(
-      allRevertMigrations,
-      migrationTimestamp
+    const result = await migrateDown(
+      client,
+      migrationTimestamp ? { ...options, from: migrationTimestamp } : options
     );
-
-    if (migrationsToRevert.length === 0) {
-      console.info("No migrations match the criteria to revert.");
-      return;
-    }
-
-    console.info("Reverting migrations:");
-    for (const migration of migrationsToRevert) {
-      console.info(`Reverting ${migration}...`);
-      await revertMigration(client, migration);
-      console.info(`${migration} reverted successfully.`);
+    if (options.dryRun) {
+      reportPlan(result.plan, {
+        direction: "down",
+        output: options.output,
+        logger: options.logger,
+      });
+    } else if (result.reverted.length === 0) {
+      logger.info("No migrations match the criteria to revert.");
     }
+    return result;
   } catch (error) {
-    console.error("Failed to revert migration:", error);
+    logger.error("Failed to revert migration:", error);
     throw error;
   }
 };
@@ -1,14 +1,24 @@
 import assert from "assert";
-import { withClient } from "./migrate.utils.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { withClient, MIGRATIONS_DIR } from "./migrate.utils.js";
 import { handleSetup } from "./migrate.setup.js";
 import {
   revertMigration,
   filterAfterOrAtTimestamp,
   appliedToRevertMigration,
   determineMigrationsToRevert,
+  selectMigrationsToRevert,
+  filterAfterTimestamp,
   handleDown,
+  migrateDown,
+  findIrreversibleReason,
+  assertReversible,
 } from "./migrate.down.js";
 import { handleUp, getAppliedMigrations } from "./migrate.up.js";
+import { silentLogger } from "./migrate.logger.js";
+import { ERROR_CODES } from "./migrate.errors.js";
 
 describe("filterAfterOrAtTimestamp", () => {
   it("should return true if the migration timestamp is after or at the provided timestamp", () => {
@@ -26,6 +36,20 @@ describe("filterAfterOrAtTimestamp", () => {
   });
 });
 
+describe("filterAfterTimestamp", () => {
+  it("should return false if the migration timestamp is at the provided timestamp", () => {
+    const migration = "20230922034400003_create_comments_table.apply.sql";
+    const result = filterAfterTimestamp(migration, "20230922034400003");
+    assert.strictEqual(result, false);
+  });
+
+  it("should return true if the migration timestamp is after the provided timestamp", () => {
+    const migration = "20230922034400004_create_likes_table.apply.sql";
+    const result = filterAfterTimestamp(migration, "20230922034400003");
+    assert.strictEqual(result, true);
+  });
+});
+
 describe("revertMigration", () => {
   it("should apply all migrations up to a specific timestamp", async () => {
     await withClient(async (client) => {
@@ -55,7 +79,7 @@ describe("revertMigration", () => {
     });
   });
 
-  it("should throw an error if the migration file does not end with '.revert.sql'", async () => {
+  it("should throw an error if the migration file can't be reverted", async () => {
     await withClient(async (client) => {
       const filename = "20230922034400002_create_posts_table.apply.sql";
       await handleSetup(client);
@@ -65,7 +89,7 @@ describe("revertMigration", () => {
       } catch (error) {
         assert.strictEqual(
           error.message,
-          "Invalid migration file. The filename must end with '.revert.sql'."
+          "Invalid migration file: 20230922034400002_create_posts_table.apply.sql. A migration is reverted with a '.revert.sql' file, a single-file '<timestamp>_<name>.sql' migration with a '-- +migrate down' section, or a '<timestamp>_<name>.js' migration exporting down."
         );
       }
     });
@@ -102,16 +126,169 @@ describe("determineMigrationsToRevert", () => {
     assert.deepStrictEqual(result, expected);
   });
 
-  it("should throw an error if a migration does not end with '.revert.sql'", () => {
+  it("should throw an error if a migration can't be reverted", () => {
     const migrations = [
       "20230922034400002_create_posts_table.revert.sql",
       "invalid_migration.sql",
     ];
     assert.throws(
       () => determineMigrationsToRevert(migrations),
-      /Invalid migration file. The filename must end with '.revert.sql'./
+      /Invalid migration file: invalid_migration\.sql\. A migration is reverted with a '\.revert\.sql' file, a single-file/
+    );
+  });
+});
+
+describe("selectMigrationsToRevert", () => {
+  const migrations = [
+    "20230922034400003_create_comments_table.revert.sql",
+    "20230922034400002_create_posts_table.revert.sql",
+    "20230922034400001_create_users_table.revert.sql",
+  ];
+
+  it("should select the last migration by default", () => {
+    const result = selectMigrationsToRevert(migrations);
+    assert.deepStrictEqual(result, [migrations[0]]);
+  });
+
+  it("should select the given number of steps", () => {
+    const result = selectMigrationsToRevert(migrations, { steps: "2" });
+    assert.deepStrictEqual(result, migrations.slice(0, 2));
+  });
+
+  it("should select migrations after the target timestamp, excluding it", () => {
+    const result = selectMigrationsToRevert(migrations, {
+      to: "20230922034400001",
+    });
+    assert.deepStrictEqual(result, migrations.slice(0, 2));
+  });
+
+  it("should select migrations at or after the from timestamp", () => {
+    const result = selectMigrationsToRevert(migrations, {
+      from: "20230922034400002",
+    });
+    assert.deepStrictEqual(result, migrations.slice(0, 2));
+  });
+
+  it("should select every migration with all", () => {
+    const result = selectMigrationsToRevert(migrations, { all: true });
+    assert.deepStrictEqual(result, migrations);
+  });
+
+  it("should select the migrations of a batch", () => {
+    const result = selectMigrationsToRevert(migrations, { batch: true }, [
+      "20230922034400002_create_posts_table.apply.sql",
+      "20230922034400003_create_comments_table.apply.sql",
+    ]);
+    assert.deepStrictEqual(result, migrations.slice(0, 2));
+  });
+
+  it("should throw an error if more than one target is given", () => {
+    assert.throws(
+      () => selectMigrationsToRevert(migrations, { steps: 2, all: true }),
+      /Only one of 'from', 'to', 'steps', 'all' or 'batch' can be given./
+    );
+  });
+
+  it("should throw an error if steps is not a positive integer", () => {
+    assert.throws(
+      () => selectMigrationsToRevert(migrations, { steps: "0" }),
+      /Steps must be a positive integer./
+    );
+  });
+});
+
+describe("assertReversible", () => {
+  let migrationsDir;
+  const write = (filename, content) =>
+    fs.writeFileSync(path.join(migrationsDir, filename), content);
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    write("20230922034400001_create_users.apply.sql", "CREATE TABLE users ();");
+    write("20230922034400001_create_users.revert.sql", "DROP TABLE users;");
+    write(
+      "20230922034400002_narrow_names.apply.sql",
+      "-- sql-migrate: irreversible\nALTER TABLE users ALTER COLUMN name TYPE varchar(50);"
+    );
+    write("20230922034400002_narrow_names.revert.sql", "SELECT 1;");
+    write(
+      "20230922034400004_lowercase_names.apply.sql",
+      "CREATE INDEX users_name_idx ON users (name);\nUPDATE users SET name = lower(name);"
+    );
+    write(
+      "20230922034400004_lowercase_names.revert.sql",
+      "-- TODO: revert by hand: UPDATE users SET name = lower(name);\nDROP INDEX users_name_idx;"
+    );
+    write(
+      "20230922034400003_delete_guests.sql",
+      "-- +migrate up\nDELETE FROM users WHERE guest;\n-- +migrate down\n-- Nothing to do\n"
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  it("should tell marked migrations from ones without revert SQL", async () => {
+    assert.strictEqual(
+      await findIrreversibleReason(
+        "20230922034400001_create_users.revert.sql",
+        migrationsDir
+      ),
+      null
+    );
+    assert.strictEqual(
+      await findIrreversibleReason(
+        "20230922034400002_narrow_names.revert.sql",
+        migrationsDir
+      ),
+      "it is marked 'irreversible'"
+    );
+    assert.strictEqual(
+      await findIrreversibleReason(
+        "20230922034400004_lowercase_names.revert.sql",
+        migrationsDir
+      ),
+      "its revert has statements marked '-- TODO: revert by hand'"
+    );
+    assert.strictEqual(
+      await findIrreversibleReason(
+        "20230922034400003_delete_guests.sql",
+        migrationsDir
+      ),
+      "its revert SQL is empty"
     );
   });
+
+  it("should refuse irreversible migrations unless forced", async () => {
+    const migrations = [
+      "20230922034400003_delete_guests.sql",
+      "20230922034400002_narrow_names.revert.sql",
+      "20230922034400001_create_users.revert.sql",
+    ];
+    await assert.rejects(
+      assertReversible(migrations, { migrationsDir }),
+      (error) =>
+        error.code === ERROR_CODES.IRREVERSIBLE &&
+        error.message.includes(
+          "Refusing to revert 2 irreversible migrations:"
+        ) &&
+        error.message.includes(
+          "  - 20230922034400003_delete_guests.sql: its revert SQL is empty"
+        )
+    );
+
+    const warnings = [];
+    await assertReversible(migrations, {
+      migrationsDir,
+      force: true,
+      logger: { ...silentLogger, warn: (message) => warnings.push(message) },
+    });
+    assert.deepStrictEqual(warnings, [
+      "Reverting 20230922034400003_delete_guests.sql anyway: its revert SQL is empty.",
+      "Reverting 20230922034400002_narrow_names.revert.sql anyway: it is marked 'irreversible'.",
+    ]);
+  });
 });
 
 describe("handleDown", () => {
@@ -145,13 +322,236 @@ describe("handleDown", () => {
     });
   });
 
+  it("should revert only the last applied migration by default", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+
+      const result = await handleDown(client);
+
+      assert.deepStrictEqual(result.reverted, [
+        "20230922034400003_create_comments_table.revert.sql",
+      ]);
+      assert.deepStrictEqual(await getAppliedMigrations(client), [
+        "20230922034400001_create_users_table.apply.sql",
+        "20230922034400002_create_posts_table.apply.sql",
+      ]);
+    });
+  });
+
+  it("should revert the migrations of the latest or a given batch", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await handleUp(client);
+
+      const latest = await handleDown(client, undefined, { batch: true });
+      assert.deepStrictEqual(latest.reverted, [
+        "20230922034400003_create_comments_table.revert.sql",
+        "20230922034400002_create_posts_table.revert.sql",
+      ]);
+
+      const first = await handleDown(client, undefined, { batch: "1" });
+      assert.deepStrictEqual(first.reverted, [
+        "20230922034400001_create_users_table.revert.sql",
+      ]);
+      assert.deepStrictEqual(await getAppliedMigrations(client), []);
+    });
+  });
+
+  it("should upgrade a migrations table from an older version before reverting a batch", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE migrations (
+          id SERIAL PRIMARY KEY,
+          filename VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+      `);
+      await assert.rejects(
+        handleDown(client, undefined, { batch: true, dryRun: true }),
+        (error) =>
+          error.code === ERROR_CODES.CONFIG && /Run setup/.test(error.message)
+      );
+
+      const result = await handleDown(client, undefined, {
+        batch: true,
+        logger: silentLogger,
+      });
+      assert.deepStrictEqual(result.reverted, []);
+      const { rows } = await client.query(
+        "SELECT column_name FROM information_schema.columns WHERE table_name = 'migrations' AND column_name = 'batch'"
+      );
+      assert.strictEqual(rows.length, 1);
+    });
+  });
+
+  it("should only plan the reverts on a dry run", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+
+      const result = await migrateDown(client, { steps: 2, dryRun: true });
+
+      assert.deepStrictEqual(
+        result.plan.map(({ filename }) => filename),
+        [
+          "20230922034400003_create_comments_table.revert.sql",
+          "20230922034400002_create_posts_table.revert.sql",
+        ]
+      );
+      assert.match(
+        result.plan[0].bookkeeping,
+        /^DELETE FROM "public"."migrations"/
+      );
+      assert.strictEqual((await getAppliedMigrations(client)).length, 3);
+    });
+  });
+
+  it("should apply and revert single-file migrations next to paired ones", async () => {
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      for (const suffix of [".apply.sql", ".revert.sql"]) {
+        const filename = `20230922034400001_create_users_table${suffix}`;
+        fs.copyFileSync(
+          path.join(MIGRATIONS_DIR, filename),
+          path.join(migrationsDir, filename)
+        );
+      }
+      fs.writeFileSync(
+        path.join(migrationsDir, "20230922034400002_create_likes_table.sql"),
+        [
+          "-- +migrate up",
+          "CREATE TABLE likes (user_id INTEGER REFERENCES users(id));",
+          "-- +migrate down",
+          "DROP TABLE likes;",
+        ].join("\n")
+      );
+
+      await withClient(async (client) => {
+        await handleSetup(client);
+        await handleUp(client, undefined, { migrationsDir });
+        assert.deepStrictEqual(await getAppliedMigrations(client), [
+          "20230922034400001_create_users_table.apply.sql",
+          "20230922034400002_create_likes_table.sql",
+        ]);
+
+        const result = await handleDown(client, undefined, {
+          migrationsDir,
+          all: true,
+        });
+        assert.deepStrictEqual(result.reverted, [
+          "20230922034400002_create_likes_table.sql",
+          "20230922034400001_create_users_table.revert.sql",
+        ]);
+        assert.deepStrictEqual(await getAppliedMigrations(client), []);
+      });
+    } finally {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should apply and revert JavaScript migrations in a transaction", async () => {
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      for (const suffix of [".apply.sql", ".revert.sql"]) {
+        const filename = `20230922034400001_create_users_table${suffix}`;
+        fs.copyFileSync(
+          path.join(MIGRATIONS_DIR, filename),
+          path.join(migrationsDir, filename)
+        );
+      }
+      fs.writeFileSync(
+        path.join(migrationsDir, "package.json"),
+        JSON.stringify({ type: "module" })
+      );
+      fs.writeFileSync(
+        path.join(migrationsDir, "20230922034400002_seed_users.js"),
+        [
+          "export const up = async (client) => {",
+          "  await client.query(\"INSERT INTO users (username, email) VALUES ('admin', 'admin@example.com')\");",
+          "};",
+          "export const down = async (client) => {",
+          "  await client.query(\"DELETE FROM users WHERE username = 'admin'\");",
+          "  throw new Error('Cannot revert the seed.');",
+          "};",
+        ].join("\n")
+      );
+
+      await withClient(async (client) => {
+        await handleSetup(client);
+        await handleUp(client, undefined, { migrationsDir });
+        assert.deepStrictEqual(await getAppliedMigrations(client), [
+          "20230922034400001_create_users_table.apply.sql",
+          "20230922034400002_seed_users.js",
+        ]);
+
+        await assert.rejects(
+          handleDown(client, undefined, { migrationsDir }),
+          /Cannot revert the seed/
+        );
+        const { rows } = await client.query(
+          "SELECT username FROM users WHERE username = 'admin'"
+        );
+        assert.strictEqual(rows.length, 1);
+        assert.strictEqual((await getAppliedMigrations(client)).length, 2);
+      });
+    } finally {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    }
+  });
+
+  it("should refuse to revert a migration with an empty revert unless forced", async () => {
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      for (const suffix of [".apply.sql", ".revert.sql"]) {
+        const filename = `20230922034400001_create_users_table${suffix}`;
+        fs.copyFileSync(
+          path.join(MIGRATIONS_DIR, filename),
+          path.join(migrationsDir, filename)
+        );
+      }
+      fs.writeFileSync(
+        path.join(migrationsDir, "20230922034400002_seed_users.apply.sql"),
+        "INSERT INTO users (username, email) VALUES ('admin', 'admin@example.com');"
+      );
+      fs.writeFileSync(
+        path.join(migrationsDir, "20230922034400002_seed_users.revert.sql"),
+        "-- SQL statements for reverting the migration"
+      );
+
+      await withClient(async (client) => {
+        await handleSetup(client);
+        await handleUp(client, undefined, { migrationsDir });
+
+        await assert.rejects(
+          handleDown(client, undefined, { migrationsDir }),
+          (error) => error.code === ERROR_CODES.IRREVERSIBLE
+        );
+        assert.strictEqual((await getAppliedMigrations(client)).length, 2);
+
+        const result = await handleDown(client, undefined, {
+          migrationsDir,
+          force: true,
+          logger: silentLogger,
+        });
+        assert.deepStrictEqual(result.reverted, [
+          "20230922034400002_seed_users.revert.sql",
+        ]);
+        assert.strictEqual((await getAppliedMigrations(client)).length, 1);
+      });
+    } finally {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    }
+  });
+
   it("should throw an error if there is a failure during the migration process", async () => {
     await withClient(async (client) => {
       const migrationTimestamp = "20220922034400003";
 
       await assert.rejects(
         handleDown(client, migrationTimestamp),
-        /relation "migrations" does not exist/
+        /relation "public.migrations" does not exist/
       );
     });
   });
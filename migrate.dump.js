@@ -0,0 +1,489 @@
+import fs from "fs";
+import path from "path";
+import {
+  executeInTransaction,
+  qualifyIdentifier,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import { doesMigrationsTableExist } from "./migrate.setup.js";
+import { resolveLogger } from "./migrate.logger.js";
+import pg from "pg";
+
+export const DEFAULT_SCHEMA_FILE = "schema.sql";
+export const SCHEMA_FILE_HEADER =
+  "-- Schema snapshot written by `sql-migrate schema:dump`. Do not edit it; run the command again instead.";
+export const LAST_MIGRATION_HEADER = "-- Last applied migration:";
+
+/**
+ * Filters the objects of a query to the user's schemas, leaving out the system catalogs
+ * and TOAST and temporary schemas. Expects the namespace joined as `n`.
+ */
+const USER_SCHEMAS = `n.nspname NOT LIKE 'pg\\_%' AND n.nspname <> 'information_schema'`;
+
+/**
+ * Builds a condition leaving out the objects an extension created, which
+ * `CREATE EXTENSION` brings back on its own.
+ * @param {string} catalog - The catalog holding the object, e.g. "pg_class".
+ * @param {string} oid - The expression for the object's oid.
+ * @returns {string} The SQL condition.
+ */
+const notFromExtension = (catalog, oid) => `NOT EXISTS (
+  SELECT FROM pg_catalog.pg_depend d
+  WHERE d.classid = 'pg_catalog.${catalog}'::regclass AND d.objid = ${oid} AND d.deptype = 'e'
+)`;
+
+/**
+ * The queries reading each kind of object from the catalog, see `formatSchemaStatements`.
+ * `$1` is the migrations table, which is left out along with what belongs to it:
+ * `setup` creates it and the snapshot can't tell which rows belong in it.
+ * Names come out schema-qualified and quoted where needed, as the catalog is read with
+ * an empty search path. Rows are sorted afterwards, see `sortCatalogRows`.
+ * Partitions are created with `PARTITION OF`, so the columns, constraints, indexes and
+ * triggers they get from their partitioned table are left out.
+ */
+const CATALOG_QUERIES = {
+  schemas: `
+    SELECT quote_ident(n.nspname) AS name
+    FROM pg_catalog.pg_namespace n
+    WHERE ${USER_SCHEMAS} AND n.nspname <> 'public'
+      AND ${notFromExtension("pg_namespace", "n.oid")}`,
+
+  extensions: `
+    SELECT quote_ident(e.extname) AS name, quote_ident(n.nspname) AS schema
+    FROM pg_catalog.pg_extension e
+    JOIN pg_catalog.pg_namespace n ON n.oid = e.extnamespace
+    WHERE e.extname <> 'plpgsql'`,
+
+  enums: `
+    SELECT t.oid::regtype::text AS name,
+      array_agg(quote_literal(e.enumlabel) ORDER BY e.enumsortorder) AS labels
+    FROM pg_catalog.pg_type t
+    JOIN pg_catalog.pg_namespace n ON n.oid = t.typnamespace
+    JOIN pg_catalog.pg_enum e ON e.enumtypid = t.oid
+    WHERE ${USER_SCHEMAS} AND ${notFromExtension("pg_type", "t.oid")}
+    GROUP BY t.oid`,
+
+  sequences: `
+    SELECT c.oid::regclass::text AS name, format_type(s.seqtypid, NULL) AS type,
+      s.seqstart AS start, s.seqincrement AS increment, s.seqmin AS min,
+      s.seqmax AS max, s.seqcache AS cache, s.seqcycle AS cycle,
+      (
+        SELECT a.attrelid::regclass::text || '.' || quote_ident(a.attname)
+        FROM pg_catalog.pg_depend d
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+        WHERE d.classid = 'pg_catalog.pg_class'::regclass AND d.objid = c.oid
+          AND d.refclassid = 'pg_catalog.pg_class'::regclass AND d.deptype = 'a'
+      ) AS owned_by
+    FROM pg_catalog.pg_sequence s
+    JOIN pg_catalog.pg_class c ON c.oid = s.seqrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_SCHEMAS} AND ${notFromExtension("pg_class", "c.oid")}
+      AND NOT EXISTS (
+        SELECT FROM pg_catalog.pg_depend d
+        WHERE d.classid = 'pg_catalog.pg_class'::regclass AND d.objid = c.oid
+          AND (d.deptype = 'i' OR (d.deptype = 'a' AND d.refobjid = to_regclass($1)))
+      )`,
+
+  functions: `
+    SELECT p.oid::regprocedure::text AS name, pg_get_functiondef(p.oid) AS definition
+    FROM pg_catalog.pg_proc p
+    JOIN pg_catalog.pg_namespace n ON n.oid = p.pronamespace
+    WHERE ${USER_SCHEMAS} AND p.prokind IN ('f', 'p')
+      AND ${notFromExtension("pg_proc", "p.oid")}`,
+
+  tables: `
+    SELECT c.oid::regclass::text AS name, pg_get_partkeydef(c.oid) AS partition_key,
+      inh.inhparent::regclass::text AS partition_of,
+      pg_get_expr(c.relpartbound, c.oid) AS partition_bound
+    FROM pg_catalog.pg_class c
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_catalog.pg_inherits inh ON c.relispartition AND inh.inhrelid = c.oid
+    WHERE ${USER_SCHEMAS} AND c.relkind IN ('r', 'p')
+      AND c.oid IS DISTINCT FROM to_regclass($1)
+      AND ${notFromExtension("pg_class", "c.oid")}`,
+
+  columns: `
+    SELECT a.attrelid::regclass::text AS table, quote_ident(a.attname) AS name,
+      format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS not_null,
+      pg_get_expr(ad.adbin, ad.adrelid) AS default,
+      a.attidentity AS identity, a.attgenerated AS generated
+    FROM pg_catalog.pg_attribute a
+    JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_catalog.pg_attrdef ad ON ad.adrelid = a.attrelid AND ad.adnum = a.attnum
+    WHERE ${USER_SCHEMAS} AND c.relkind IN ('r', 'p') AND NOT c.relispartition
+      AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY a.attrelid, a.attnum`,
+
+  views: `
+    SELECT c.oid, c.oid::regclass::text AS name, c.relkind = 'm' AS materialized,
+      pg_get_viewdef(c.oid) AS definition
+    FROM pg_catalog.pg_class c
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_SCHEMAS} AND c.relkind IN ('v', 'm')
+      AND ${notFromExtension("pg_class", "c.oid")}`,
+
+  viewDependencies: `
+    SELECT DISTINCT r.ev_class AS view, d.refobjid AS dependency
+    FROM pg_catalog.pg_rewrite r
+    JOIN pg_catalog.pg_depend d ON d.classid = 'pg_catalog.pg_rewrite'::regclass
+      AND d.objid = r.oid AND d.refclassid = 'pg_catalog.pg_class'::regclass
+    WHERE d.refobjid <> r.ev_class`,
+
+  constraints: `
+    SELECT con.conrelid::regclass::text AS table, quote_ident(con.conname) AS name,
+      con.contype = 'f' AS foreign_key, pg_get_constraintdef(con.oid) AS definition,
+      c.relkind = 'p' AS partitioned
+    FROM pg_catalog.pg_constraint con
+    JOIN pg_catalog.pg_class c ON c.oid = con.conrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_SCHEMAS} AND c.relkind IN ('r', 'p') AND con.contype IN ('p', 'u', 'c', 'f', 'x')
+      AND con.conislocal AND con.conparentid = 0
+      AND c.oid IS DISTINCT FROM to_regclass($1)
+      AND ${notFromExtension("pg_class", "c.oid")}`,
+
+  indexes: `
+    SELECT i.indexrelid::regclass::text AS name, pg_get_indexdef(i.indexrelid) AS definition
+    FROM pg_catalog.pg_index i
+    JOIN pg_catalog.pg_class c ON c.oid = i.indrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_SCHEMAS} AND c.relkind IN ('r', 'm', 'p')
+      AND c.oid IS DISTINCT FROM to_regclass($1)
+      AND ${notFromExtension("pg_class", "c.oid")}
+      AND NOT EXISTS (
+        SELECT FROM pg_catalog.pg_constraint con
+        WHERE con.conindid = i.indexrelid AND con.contype IN ('p', 'u', 'x')
+      )
+      AND NOT EXISTS (
+        SELECT FROM pg_catalog.pg_inherits inh WHERE inh.inhrelid = i.indexrelid
+      )`,
+
+  triggers: `
+    SELECT t.tgrelid::regclass::text AS table, quote_ident(t.tgname) AS name,
+      pg_get_triggerdef(t.oid) AS definition
+    FROM pg_catalog.pg_trigger t
+    JOIN pg_catalog.pg_class c ON c.oid = t.tgrelid
+    JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+    WHERE ${USER_SCHEMAS} AND NOT t.tgisinternal AND t.tgparentid = 0
+      AND c.oid IS DISTINCT FROM to_regclass($1)
+      AND ${notFromExtension("pg_class", "c.oid")}`,
+};
+
+/**
+ * The queries whose rows keep the order the catalog returns them in.
+ */
+const UNSORTED_QUERIES = ["columns", "viewDependencies"];
+
+/**
+ * Compares strings by code point, so the order doesn't depend on the collation of the database.
+ * @param {string} a - A string.
+ * @param {string} b - Another string.
+ * @returns {number} Negative if `a` comes first, positive if `b` does, zero if equal.
+ */
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Sorts catalog rows by their table, if they belong to one, then by name.
+ * @param {Object[]} rows - The rows of one of `CATALOG_QUERIES`.
+ * @returns {Object[]} The sorted rows.
+ */
+export const sortCatalogRows = (rows) =>
+  [...rows].sort(
+    (a, b) =>
+      compareText(a.table || "", b.table || "") || compareText(a.name, b.name)
+  );
+
+/**
+ * Orders items so every item comes after the items it depends on. Items without
+ * dependencies between them keep their given order, so the result is deterministic.
+ *
+ * @param {string[]} items - The items, e.g. view oids, in their preferred order.
+ * @param {function(string): string[]} dependsOn - Returns the items an item depends on.
+ * @returns {string[]} The ordered items.
+ */
+export const sortByDependencies = (items, dependsOn) => {
+  const known = new Set(items);
+  const sorted = [];
+  const visited = new Set();
+  const visit = (item) => {
+    if (visited.has(item)) return;
+    visited.add(item);
+    for (const dependency of dependsOn(item)) {
+      if (known.has(dependency)) visit(dependency);
+    }
+    sorted.push(item);
+  };
+  items.forEach(visit);
+  return sorted;
+};
+
+/**
+ * Formats a column definition of `CREATE TABLE`.
+ * @param {Object} column - A row of the columns query.
+ * @returns {string} The column definition, indented.
+ */
+const formatColumn = (column) => {
+  const parts = [column.name, column.type];
+  if (column.generated === "s") {
+    parts.push(`GENERATED ALWAYS AS (${column.default}) STORED`);
+  } else if (column.default != null) {
+    parts.push(`DEFAULT ${column.default}`);
+  }
+  if (column.identity) {
+    parts.push(
+      `GENERATED ${
+        column.identity === "a" ? "ALWAYS" : "BY DEFAULT"
+      } AS IDENTITY`
+    );
+  }
+  if (column.not_null) parts.push("NOT NULL");
+  return `    ${parts.join(" ")}`;
+};
+
+/**
+ * Formats a `CREATE TABLE`, for a partition as `PARTITION OF` its partitioned table.
+ * @param {Object} table - A row of the tables query.
+ * @param {string[]} columns - The formatted column definitions.
+ * @returns {string} The statement.
+ */
+const formatTable = (table, columns) => {
+  const partitionBy = table.partition_key
+    ? `\nPARTITION BY ${table.partition_key}`
+    : "";
+  if (table.partition_of) {
+    return `CREATE TABLE ${table.name} PARTITION OF ${table.partition_of}\n${table.partition_bound}${partitionBy};`;
+  }
+  return columns.length > 0
+    ? `CREATE TABLE ${table.name} (\n${columns.join(",\n")}\n)${partitionBy};`
+    : `CREATE TABLE ${table.name} ()${partitionBy};`;
+};
+
+/**
+ * Formats the catalog rows as the statements of the snapshot, in the order they
+ * can run in: schemas, extensions, enum types, sequences, functions, tables (partitions
+ * after their partitioned table), views, sequence ownership, constraints, indexes,
+ * foreign keys and triggers.
+ *
+ * @param {Object<string, Object[]>} catalog - The rows of each of `CATALOG_QUERIES`.
+ * @returns {string[]} The statements, each ending with a semicolon.
+ */
+export const formatSchemaStatements = (catalog) => {
+  const columnsByTable = new Map();
+  for (const column of catalog.columns) {
+    if (!columnsByTable.has(column.table)) columnsByTable.set(column.table, []);
+    columnsByTable.get(column.table).push(column);
+  }
+
+  const viewsByOid = new Map(
+    catalog.views.map((view) => [String(view.oid), view])
+  );
+  const viewDependencies = new Map();
+  for (const { view, dependency } of catalog.viewDependencies) {
+    const key = String(view);
+    if (!viewDependencies.has(key)) viewDependencies.set(key, []);
+    viewDependencies.get(key).push(String(dependency));
+  }
+  const views = sortByDependencies(
+    [...viewsByOid.keys()],
+    (oid) => viewDependencies.get(oid) || []
+  ).map((oid) => viewsByOid.get(oid));
+
+  const tablesByName = new Map(
+    catalog.tables.map((table) => [table.name, table])
+  );
+  const tables = sortByDependencies([...tablesByName.keys()], (name) =>
+    tablesByName.get(name).partition_of
+      ? [tablesByName.get(name).partition_of]
+      : []
+  ).map((name) => tablesByName.get(name));
+
+  // A constraint added to a partitioned table has to reach its partitions too.
+  const constraint = ({ table, name, definition, partitioned }) =>
+    `ALTER TABLE ${
+      partitioned ? "" : "ONLY "
+    }${table}\n    ADD CONSTRAINT ${name} ${definition};`;
+
+  return [
+    ...catalog.schemas.map(
+      ({ name }) => `CREATE SCHEMA IF NOT EXISTS ${name};`
+    ),
+    ...catalog.extensions.map(
+      ({ name, schema }) =>
+        `CREATE EXTENSION IF NOT EXISTS ${name} WITH SCHEMA ${schema};`
+    ),
+    ...catalog.enums.map(
+      ({ name, labels }) =>
+        `CREATE TYPE ${name} AS ENUM (\n    ${labels.join(",\n    ")}\n);`
+    ),
+    ...catalog.sequences.map((sequence) =>
+      [
+        `CREATE SEQUENCE ${sequence.name}`,
+        `    AS ${sequence.type}`,
+        `    START WITH ${sequence.start}`,
+        `    INCREMENT BY ${sequence.increment}`,
+        `    MINVALUE ${sequence.min}`,
+        `    MAXVALUE ${sequence.max}`,
+        `    CACHE ${sequence.cache}${sequence.cycle ? "\n    CYCLE" : ""};`,
+      ].join("\n")
+    ),
+    ...catalog.functions.map(({ definition }) => `${definition.trim()};`),
+    ...tables.map((table) =>
+      formatTable(
+        table,
+        (columnsByTable.get(table.name) || []).map(formatColumn)
+      )
+    ),
+    ...views.map(({ name, materialized, definition }) => {
+      const query = definition.trim().replace(/;$/, "");
+      return materialized
+        ? `CREATE MATERIALIZED VIEW ${name} AS\n${query}\n  WITH NO DATA;`
+        : `CREATE VIEW ${name} AS\n${query};`;
+    }),
+    ...catalog.sequences
+      .filter(({ owned_by }) => owned_by)
+      .map(
+        ({ name, owned_by }) => `ALTER SEQUENCE ${name} OWNED BY ${owned_by};`
+      ),
+    ...catalog.constraints
+      .filter(({ foreign_key }) => !foreign_key)
+      .map(constraint),
+    // The index of a partitioned table comes out `ON ONLY` it; created on the table
+    // instead, it is built on the partitions as well.
+    ...catalog.indexes.map(
+      ({ definition }) => `${definition.replace(/ ON ONLY /, " ON ")};`
+    ),
+    ...catalog.constraints
+      .filter(({ foreign_key }) => foreign_key)
+      .map(constraint),
+    ...catalog.triggers.map(({ definition }) => `${definition};`),
+  ];
+};
+
+/**
+ * Finds the newest applied migration, which the snapshot is taken after.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<string|null>} A promise that resolves to the filename, or null if none is applied.
+ */
+const findLastAppliedMigration = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  if (!(await doesMigrationsTableExist(client, { tableSchema, tableName }))) {
+    return null;
+  }
+  const { rows } = await client.query(
+    `SELECT filename FROM ${qualifyIdentifier(tableSchema, tableName)}`
+  );
+  const timestampOf = (filename) => filename.split("_")[0].padStart(20, "0");
+  return rows
+    .map((row) => row.filename)
+    .reduce(
+      (newest, filename) =>
+        newest === null || timestampOf(filename) > timestampOf(newest)
+          ? filename
+          : newest,
+      null
+    );
+};
+
+/**
+ * Reads the objects of the user's schemas from the catalog, leaving out the migrations table.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<Object<string, Object[]>>} A promise that resolves to the rows of each of `CATALOG_QUERIES`.
+ */
+export const readCatalog = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) =>
+  executeInTransaction(client, async () => {
+    await client.query("SELECT pg_catalog.set_config('search_path', '', true)");
+    const rows = {};
+    for (const [kind, query] of Object.entries(CATALOG_QUERIES)) {
+      const params = query.includes("$1")
+        ? [qualifyIdentifier(tableSchema, tableName)]
+        : [];
+      const result = await client.query(query, params);
+      rows[kind] = UNSORTED_QUERIES.includes(kind)
+        ? result.rows
+        : sortCatalogRows(result.rows);
+    }
+    return rows;
+  });
+
+/**
+ * Reads the schema of the database and formats it as a SQL snapshot. Objects are
+ * sorted by name, and columns kept in table order, so the snapshot only changes
+ * when the schema does. The header names the newest applied migration.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<string>} A promise that resolves to the snapshot.
+ */
+export const buildSchemaDump = async (client, options = {}) => {
+  const lastMigration = await findLastAppliedMigration(client, options);
+  const catalog = await readCatalog(client, options);
+
+  return [
+    SCHEMA_FILE_HEADER,
+    `${LAST_MIGRATION_HEADER} ${lastMigration || "none"}`,
+    "",
+    "SET check_function_bodies = false;",
+    "",
+    formatSchemaStatements(catalog).join("\n\n"),
+    "",
+  ].join("\n");
+};
+
+/**
+ * Writes the schema snapshot of the database to a file, see `buildSchemaDump`.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.schemaFile=DEFAULT_SCHEMA_FILE] - The file to write.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome, the console by default.
+ * @returns {Promise<{schemaFile: string}>} A promise that resolves to the path of the written file.
+ */
+export const dumpSchema = async (client, options = {}) => {
+  const { schemaFile = DEFAULT_SCHEMA_FILE, logger } = options;
+  const sql = await buildSchemaDump(client, options);
+  fs.mkdirSync(path.dirname(path.resolve(schemaFile)), { recursive: true });
+  fs.writeFileSync(schemaFile, sql);
+  resolveLogger(logger).info(`Schema written to ${schemaFile}.`);
+  return { schemaFile };
+};
+
+/**
+ * Handles the schema dump.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `dumpSchema`.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If reading the schema or writing the file fails.
+ * @returns {Promise<{schemaFile: string}>} A promise that resolves to the path of the written file.
+ */
+export const handleDump = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+  try {
+    return await dumpSchema(client, options);
+  } catch (error) {
+    resolveLogger(options.logger).error("Failed to dump the schema:", error);
+    throw error;
+  }
+};
+
+export default handleDump;
@@ -0,0 +1,302 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp } from "./migrate.up.js";
+import { silentLogger } from "./migrate.logger.js";
+import {
+  buildSchemaDump,
+  dumpSchema,
+  formatSchemaStatements,
+  sortByDependencies,
+  sortCatalogRows,
+  LAST_MIGRATION_HEADER,
+} from "./migrate.dump.js";
+
+const EMPTY_CATALOG = {
+  schemas: [],
+  extensions: [],
+  enums: [],
+  sequences: [],
+  functions: [],
+  tables: [],
+  columns: [],
+  views: [],
+  viewDependencies: [],
+  constraints: [],
+  indexes: [],
+  triggers: [],
+};
+
+describe("sortByDependencies", () => {
+  it("should put dependencies first and keep the given order otherwise", () => {
+    const dependencies = { a: ["c"], b: [], c: ["d"], d: [] };
+    assert.deepStrictEqual(
+      sortByDependencies(["a", "b", "c", "d"], (item) => dependencies[item]),
+      ["d", "c", "a", "b"]
+    );
+  });
+
+  it("should ignore dependencies on other objects", () => {
+    assert.deepStrictEqual(
+      sortByDependencies(["a", "b"], () => ["table"]),
+      ["a", "b"]
+    );
+  });
+});
+
+describe("sortCatalogRows", () => {
+  it("should sort by table, then by name, whatever the collation", () => {
+    assert.deepStrictEqual(
+      sortCatalogRows([
+        { table: "public.users", name: "users_pkey" },
+        { table: "public.posts", name: "posts_user_id_fkey" },
+        { table: "public.posts", name: '"Posts_title_check"' },
+      ]),
+      [
+        { table: "public.posts", name: '"Posts_title_check"' },
+        { table: "public.posts", name: "posts_user_id_fkey" },
+        { table: "public.users", name: "users_pkey" },
+      ]
+    );
+  });
+});
+
+describe("formatSchemaStatements", () => {
+  it("should create tables before their constraints and foreign keys last", () => {
+    const statements = formatSchemaStatements({
+      ...EMPTY_CATALOG,
+      sequences: [
+        {
+          name: "public.users_id_seq",
+          type: "integer",
+          start: "1",
+          increment: "1",
+          min: "1",
+          max: "2147483647",
+          cache: "1",
+          cycle: false,
+          owned_by: "public.users.id",
+        },
+      ],
+      tables: [{ name: "public.posts" }, { name: "public.users" }],
+      columns: [
+        {
+          table: "public.posts",
+          name: "user_id",
+          type: "integer",
+          not_null: false,
+          default: null,
+          identity: "",
+          generated: "",
+        },
+        {
+          table: "public.users",
+          name: "id",
+          type: "integer",
+          not_null: true,
+          default: "nextval('public.users_id_seq'::regclass)",
+          identity: "",
+          generated: "",
+        },
+      ],
+      constraints: [
+        {
+          table: "public.posts",
+          name: "posts_user_id_fkey",
+          foreign_key: true,
+          definition: "FOREIGN KEY (user_id) REFERENCES public.users(id)",
+        },
+        {
+          table: "public.users",
+          name: "users_pkey",
+          foreign_key: false,
+          definition: "PRIMARY KEY (id)",
+        },
+      ],
+      indexes: [
+        {
+          name: "public.posts_user_id_idx",
+          definition:
+            "CREATE INDEX posts_user_id_idx ON public.posts USING btree (user_id)",
+        },
+      ],
+    });
+
+    assert.deepStrictEqual(statements, [
+      [
+        "CREATE SEQUENCE public.users_id_seq",
+        "    AS integer",
+        "    START WITH 1",
+        "    INCREMENT BY 1",
+        "    MINVALUE 1",
+        "    MAXVALUE 2147483647",
+        "    CACHE 1;",
+      ].join("\n"),
+      "CREATE TABLE public.posts (\n    user_id integer\n);",
+      "CREATE TABLE public.users (\n    id integer DEFAULT nextval('public.users_id_seq'::regclass) NOT NULL\n);",
+      "ALTER SEQUENCE public.users_id_seq OWNED BY public.users.id;",
+      "ALTER TABLE ONLY public.users\n    ADD CONSTRAINT users_pkey PRIMARY KEY (id);",
+      "CREATE INDEX posts_user_id_idx ON public.posts USING btree (user_id);",
+      "ALTER TABLE ONLY public.posts\n    ADD CONSTRAINT posts_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id);",
+    ]);
+  });
+
+  it("should create partitions after their partitioned table", () => {
+    const statements = formatSchemaStatements({
+      ...EMPTY_CATALOG,
+      tables: [
+        { name: "public.events" },
+        {
+          name: "public.events_2023",
+          partition_of: "public.events_by_year",
+          partition_bound: "FOR VALUES FROM ('2023-01-01') TO ('2024-01-01')",
+        },
+        {
+          name: "public.events_by_year",
+          partition_key: "RANGE (happened_at)",
+        },
+      ],
+      columns: [
+        {
+          table: "public.events_by_year",
+          name: "happened_at",
+          type: "date",
+          not_null: true,
+          default: null,
+          identity: "",
+          generated: "",
+        },
+      ],
+      constraints: [
+        {
+          table: "public.events_by_year",
+          name: "events_by_year_pkey",
+          foreign_key: false,
+          partitioned: true,
+          definition: "PRIMARY KEY (happened_at)",
+        },
+      ],
+      indexes: [
+        {
+          name: "public.events_by_year_happened_at_idx",
+          definition:
+            "CREATE INDEX events_by_year_happened_at_idx ON ONLY public.events_by_year USING btree (happened_at)",
+        },
+      ],
+    });
+
+    assert.deepStrictEqual(statements, [
+      "CREATE TABLE public.events ();",
+      "CREATE TABLE public.events_by_year (\n    happened_at date NOT NULL\n)\nPARTITION BY RANGE (happened_at);",
+      "CREATE TABLE public.events_2023 PARTITION OF public.events_by_year\nFOR VALUES FROM ('2023-01-01') TO ('2024-01-01');",
+      "ALTER TABLE public.events_by_year\n    ADD CONSTRAINT events_by_year_pkey PRIMARY KEY (happened_at);",
+      "CREATE INDEX events_by_year_happened_at_idx ON public.events_by_year USING btree (happened_at);",
+    ]);
+  });
+
+  it("should create views after the views they select from", () => {
+    const statements = formatSchemaStatements({
+      ...EMPTY_CATALOG,
+      views: [
+        {
+          oid: 2,
+          name: "public.active_users",
+          materialized: false,
+          definition: " SELECT id\n   FROM public.recent_users;",
+        },
+        {
+          oid: 1,
+          name: "public.recent_users",
+          materialized: true,
+          definition: " SELECT id\n   FROM public.users;",
+        },
+      ],
+      viewDependencies: [
+        { view: 2, dependency: 1 },
+        { view: 1, dependency: 100 },
+      ],
+    });
+
+    assert.deepStrictEqual(statements, [
+      "CREATE MATERIALIZED VIEW public.recent_users AS\nSELECT id\n   FROM public.users\n  WITH NO DATA;",
+      "CREATE VIEW public.active_users AS\nSELECT id\n   FROM public.recent_users;",
+    ]);
+  });
+});
+
+describe("dumpSchema", () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "schema-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("should write a snapshot without the migrations table", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+
+      const schemaFile = path.join(outputDir, "db", "schema.sql");
+      await dumpSchema(client, { schemaFile, logger: silentLogger });
+      const sql = fs.readFileSync(schemaFile, "utf8");
+
+      assert.ok(
+        sql.includes(
+          `${LAST_MIGRATION_HEADER} 20230922034400003_create_comments_table.apply.sql`
+        )
+      );
+      assert.ok(sql.includes("CREATE TABLE public.users (\n    id integer"));
+      assert.ok(sql.includes("ADD CONSTRAINT posts_user_id_fkey FOREIGN KEY"));
+      assert.ok(!sql.includes("public.migrations"));
+      assert.strictEqual(await buildSchemaDump(client), sql);
+    });
+  });
+
+  it("should write partitioned tables that load back the same", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE events (id bigint, happened_at date, PRIMARY KEY (id, happened_at))
+          PARTITION BY RANGE (happened_at);
+        CREATE TABLE events_2023 PARTITION OF events
+          FOR VALUES FROM ('2023-01-01') TO ('2024-01-01');
+        CREATE TABLE events_default PARTITION OF events DEFAULT;
+        CREATE INDEX events_happened_at_idx ON events (happened_at);
+      `);
+      const sql = await buildSchemaDump(client);
+      assert.ok(
+        sql.includes(
+          "CREATE TABLE public.events_2023 PARTITION OF public.events\nFOR VALUES"
+        )
+      );
+      assert.ok(!sql.includes("events_2023_pkey"));
+
+      await client.query("DROP TABLE events");
+      await client.query(sql);
+      assert.strictEqual(await buildSchemaDump(client), sql);
+    });
+  });
+
+  it("should write the snapshot after up when asked to", async () => {
+    await withClient(async (client) => {
+      const schemaFile = path.join(outputDir, "schema.sql");
+      await handleSetup(client);
+      await handleUp(client, undefined, {
+        dumpSchema: true,
+        schemaFile,
+        logger: silentLogger,
+      });
+      assert.ok(
+        fs
+          .readFileSync(schemaFile, "utf8")
+          .includes("CREATE TABLE public.posts")
+      );
+    });
+  });
+});
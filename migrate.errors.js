@@ -0,0 +1,24 @@
+/**
+ * Codes attached to errors whose cause the CLI reports with a dedicated exit code.
+ * Any other error counts as a failed migration.
+ */
+export const ERROR_CODES = {
+  USAGE: "SQL_MIGRATE_USAGE",
+  CONFIG: "SQL_MIGRATE_CONFIG",
+  CONNECTION: "SQL_MIGRATE_CONNECTION",
+  LOCK_TIMEOUT: "SQL_MIGRATE_LOCK_TIMEOUT",
+  CHECKSUM_MISMATCH: "SQL_MIGRATE_CHECKSUM_MISMATCH",
+  INVALID_MIGRATIONS: "SQL_MIGRATE_INVALID_MIGRATIONS",
+  OUT_OF_ORDER: "SQL_MIGRATE_OUT_OF_ORDER",
+  IRREVERSIBLE: "SQL_MIGRATE_IRREVERSIBLE",
+};
+
+/**
+ * Creates an error tagged with one of `ERROR_CODES`.
+ * @param {string} code - One of `ERROR_CODES`.
+ * @param {string} message - The error message.
+ * @param {Object} [options] - Error options, such as `cause`.
+ * @returns {Error} The error, with its `code` set.
+ */
+export const createError = (code, message, options) =>
+  Object.assign(new Error(message, options), { code });
@@ -1,9 +1,17 @@
 import fs from "fs";
 import path from "path";
 import { MIGRATIONS_DIR } from "./migrate.utils.js";
-
-const APPLY_MIGRATION_FILE_SUFFIX = ".apply.sql";
-const REVERT_MIGRATION_FILE_SUFFIX = ".revert.sql";
+import { resolveLogger } from "./migrate.logger.js";
+import { renderMigration } from "./migrate.templates.js";
+import { draftRevert } from "./migrate.invert.js";
+import { MIGRATION_FILENAME_PATTERN } from "./migrate.validate.js";
+import {
+  APPLY_MIGRATION_FILE_SUFFIX,
+  REVERT_MIGRATION_FILE_SUFFIX,
+  SINGLE_FILE_MIGRATION_SUFFIX,
+  UP_SECTION_MARKER,
+  DOWN_SECTION_MARKER,
+} from "./migrate.loader.js";
 
 /**
  * Generates a timestamp in the format YYYYMMDDHHmmss.
@@ -21,6 +29,32 @@ export const generateTimestamp = () => {
   return `${YYYY}${MM}${DD}${HH}${mm}${ss}`;
 };
 
+/**
+ * Picks the timestamp for a new migration: the current one, or one past the newest
+ * migration in the directory when that is not older, e.g. when two migrations are
+ * generated within the same second. Migrations run in the string order of their timestamps.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
+ * @param {string} [now=generateTimestamp()] - The current timestamp.
+ * @returns {string} A timestamp later than every existing migration's.
+ */
+export const nextMigrationTimestamp = (
+  migrationsDir = MIGRATIONS_DIR,
+  now = generateTimestamp()
+) => {
+  const newest = (
+    fs.existsSync(migrationsDir) ? fs.readdirSync(migrationsDir) : []
+  )
+    .map((filename) => MIGRATION_FILENAME_PATTERN.exec(filename))
+    .filter(Boolean)
+    .map(([, timestamp]) => timestamp)
+    .reduce(
+      (latest, timestamp) => (timestamp > latest ? timestamp : latest),
+      ""
+    );
+  if (now > newest) return now;
+  return String(BigInt(newest) + 1n).padStart(newest.length, "0");
+};
+
 /**
  * Formats the migration name by replacing underscores with hyphens, spaces with hyphens,
  * camel case with hyphens, and making all characters lowercase.
@@ -47,59 +81,107 @@ export const formatMigrationName = (migrationName) => {
  * @param {string} timestamp - The timestamp prefix.
  * @param {string} formattedName - The formatted migration name.
  * @param {string} suffix - The file suffix.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
  * @returns {string} The constructed filename.
  */
-export const fullMigrationFilePath = (timestamp, formattedName, suffix) =>
-  path.join(MIGRATIONS_DIR, `${timestamp}_${formattedName}${suffix}`);
+export const fullMigrationFilePath = (
+  timestamp,
+  formattedName,
+  suffix,
+  migrationsDir = MIGRATIONS_DIR
+) => path.join(migrationsDir, `${timestamp}_${formattedName}${suffix}`);
 
 /**
  * Creates a migration file with the given filename and content.
  * @param {string} filename - The filename of the migration file.
  * @param {string} content - The content of the migration file.
+ * @param {import("./migrate.logger.js").Logger} [logger] - Receives the outcome, the console by default.
  * @returns {string} The created filename.
  * @throws {Error} If there's an error during file creation.
  */
-export const createMigrationFile = (filename, content) => {
+export const createMigrationFile = (filename, content, logger) => {
   try {
     fs.writeFileSync(filename, content);
-    console.log(`File created: ${filename}`);
+    resolveLogger(logger).info(`File created: ${filename}`);
     return filename;
   } catch (error) {
-    console.error(`Failed to create migration file: ${filename}`, error);
+    resolveLogger(logger).error(
+      `Failed to create migration file: ${filename}`,
+      error
+    );
     throw new Error(`Error creating migration file: ${filename}`);
   }
 };
 
 /**
- * Handles the migration generation process.
+ * Generates the apply and revert files for a new migration, or a single file
+ * with up and down sections. Their SQL comes from a template, see `renderMigration`.
  * @param {string} migrationName - The name of the migration.
- * @returns {Object} An object containing the names of the generated files.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {boolean} [options.singleFile] - Generate one `.sql` file with up and down sections.
+ * @param {string} [options.template] - The template to generate from, inferred from the name by default.
+ * @param {string} [options.table] - The table for the template.
+ * @param {string[]} [options.columns] - Columns for the template, e.g. ["id:serial", "name:text"].
+ * @param {string} [options.templatesDir] - The directory holding user templates.
+ * @param {boolean} [options.draftRevert] - Draft the revert from the apply SQL instead of taking it from the template, see `draftRevert`.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the created files, the console by default.
+ * @returns {{applyFileName: string, revertFileName: string}|{migrationFileName: string}} The paths of the generated files.
  * @throws {Error} If there's a failure during the migration generation process.
  */
-export const handleGenerate = (migrationName) => {
-  const timestamp = generateTimestamp();
+export const generateMigration = (
+  migrationName,
+  {
+    migrationsDir,
+    singleFile,
+    template,
+    table,
+    columns,
+    templatesDir,
+    draftRevert: draft,
+    logger,
+  } = {}
+) => {
+  const timestamp = nextMigrationTimestamp(migrationsDir);
   const formattedName = formatMigrationName(migrationName);
+  const rendered = renderMigration(migrationName, {
+    template,
+    table,
+    columns,
+    templatesDir,
+  });
+  const { up } = rendered;
+  const down = draft ? draftRevert(up).sql : rendered.down;
+
+  if (singleFile) {
+    const migrationFileName = fullMigrationFilePath(
+      timestamp,
+      formattedName,
+      SINGLE_FILE_MIGRATION_SUFFIX,
+      migrationsDir
+    );
+    createMigrationFile(
+      migrationFileName,
+      [UP_SECTION_MARKER, up, "", DOWN_SECTION_MARKER, down, ""].join("\n"),
+      logger
+    );
+    return { migrationFileName };
+  }
   const applyFileName = fullMigrationFilePath(
     timestamp,
     formattedName,
-    APPLY_MIGRATION_FILE_SUFFIX
+    APPLY_MIGRATION_FILE_SUFFIX,
+    migrationsDir
   );
   const revertFileName = fullMigrationFilePath(
     timestamp,
     formattedName,
-    REVERT_MIGRATION_FILE_SUFFIX
+    REVERT_MIGRATION_FILE_SUFFIX,
+    migrationsDir
   );
 
-  createMigrationFile(
-    applyFileName,
-    "-- SQL statements for applying the migration"
-  );
-  createMigrationFile(
-    revertFileName,
-    "-- SQL statements for reverting the migration"
-  );
-
-  console.log(`Generated files: ${applyFileName} and ${revertFileName}`);
+  createMigrationFile(applyFileName, up, logger);
+  createMigrationFile(revertFileName, down, logger);
 
   return {
     applyFileName,
@@ -107,4 +189,21 @@ export const handleGenerate = (migrationName) => {
   };
 };
 
+/**
+ * Handles the migration generation process.
+ * @param {string} migrationName - The name of the migration.
+ * @param {Object} [options] - Migration options, see `generateMigration`.
+ * @returns {Object} An object containing the names of the generated files.
+ * @throws {Error} If there's a failure during the migration generation process.
+ */
+export const handleGenerate = (migrationName, options = {}) => {
+  const result = generateMigration(migrationName, options);
+  resolveLogger(options.logger).info(
+    result.migrationFileName
+      ? `Generated file: ${result.migrationFileName}`
+      : `Generated files: ${result.applyFileName} and ${result.revertFileName}`
+  );
+  return result;
+};
+
 export default handleGenerate;
@@ -4,11 +4,13 @@ import fs from "fs";
 import { MIGRATIONS_DIR } from "./migrate.utils.js";
 import {
   generateTimestamp,
+  nextMigrationTimestamp,
   formatMigrationName,
   fullMigrationFilePath,
   createMigrationFile,
   handleGenerate,
 } from "./migrate.generate.js";
+import { EMPTY_DRAFT } from "./migrate.invert.js";
 
 const cleanupGeneratedFiles = (testBody) => {
   let generatedFiles = [];
@@ -40,6 +42,26 @@ describe("generateTimestamp", () => {
   });
 });
 
+describe("nextMigrationTimestamp", () => {
+  it("should return the current timestamp when it is newer than every migration", () => {
+    assert.strictEqual(
+      nextMigrationTimestamp(MIGRATIONS_DIR, "20990101000000"),
+      "20990101000000"
+    );
+  });
+
+  it("should return a timestamp past the newest migration otherwise", () => {
+    assert.strictEqual(
+      nextMigrationTimestamp(MIGRATIONS_DIR, "20230922034400003"),
+      "20230922034400004"
+    );
+    assert.strictEqual(
+      nextMigrationTimestamp(MIGRATIONS_DIR, "20230101000000"),
+      "20230922034400004"
+    );
+  });
+});
+
 describe("formatMigrationName", () => {
   it("should return a string when a migration name is provided", () => {
     const migrationName = "create_likes-table";
@@ -131,6 +153,19 @@ describe("handleGenerate", () => {
     })
   );
 
+  it(
+    "should order migrations generated within the same second",
+    cleanupGeneratedFiles((generatedFiles) => {
+      const first = handleGenerate("createLikesTable");
+      const second = handleGenerate("createTagsTable");
+      generatedFiles.push(...Object.values(first), ...Object.values(second));
+
+      const [firstTimestamp] = path.basename(first.applyFileName).split("_");
+      const [secondTimestamp] = path.basename(second.applyFileName).split("_");
+      assert.ok(secondTimestamp > firstTimestamp);
+    })
+  );
+
   it("should throw an error if migration generation fails", () => {
     const migrationName = null;
     assert.throws(() => handleGenerate(migrationName), Error);
@@ -158,3 +193,74 @@ describe("handleGenerate", () => {
     })
   );
 });
+
+describe("handleGenerate with singleFile", () => {
+  it(
+    "should generate one file with up and down sections",
+    cleanupGeneratedFiles((generatedFiles) => {
+      const result = handleGenerate("createLikesTable", { singleFile: true });
+      generatedFiles.push(result.migrationFileName);
+
+      assert.match(
+        path.basename(result.migrationFileName),
+        /^\d{14}_create-likes-table\.sql$/
+      );
+      const content = fs.readFileSync(result.migrationFileName, "utf8");
+      assert.match(content, /^-- \+migrate up\n/m);
+      assert.match(content, /^-- \+migrate down\n/m);
+    })
+  );
+});
+
+describe("handleGenerate with a template", () => {
+  it(
+    "should fill the files from the template inferred from the name",
+    cleanupGeneratedFiles((generatedFiles) => {
+      const result = handleGenerate("create_users_table", {
+        columns: ["id:serial", "name:text"],
+      });
+      generatedFiles.push(result.applyFileName);
+      generatedFiles.push(result.revertFileName);
+
+      assert.strictEqual(
+        fs.readFileSync(result.applyFileName, "utf8"),
+        "CREATE TABLE users (\n  id serial,\n  name text\n);"
+      );
+      assert.strictEqual(
+        fs.readFileSync(result.revertFileName, "utf8"),
+        "DROP TABLE users;"
+      );
+    })
+  );
+
+  it(
+    "should draft the revert from the apply SQL",
+    cleanupGeneratedFiles((generatedFiles) => {
+      const result = handleGenerate("add_email_to_users", {
+        columns: ["email:text"],
+        draftRevert: true,
+      });
+      generatedFiles.push(result.applyFileName);
+      generatedFiles.push(result.revertFileName);
+
+      assert.strictEqual(
+        fs.readFileSync(result.revertFileName, "utf8"),
+        "ALTER TABLE users DROP COLUMN email;"
+      );
+    })
+  );
+
+  it(
+    "should leave a marker when drafting the revert of the blank template",
+    cleanupGeneratedFiles((generatedFiles) => {
+      const result = handleGenerate("backfillUserNames", { draftRevert: true });
+      generatedFiles.push(result.applyFileName);
+      generatedFiles.push(result.revertFileName);
+
+      assert.strictEqual(
+        fs.readFileSync(result.revertFileName, "utf8"),
+        EMPTY_DRAFT
+      );
+    })
+  );
+});
@@ -0,0 +1,163 @@
+import {
+  formatTable,
+  qualifyIdentifier,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import { assertMigrationsTableUpToDate } from "./migrate.setup.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { resolveLogger } from "./migrate.logger.js";
+import pg from "pg";
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} filename - The filename of the applied migration.
+ * @property {Date} appliedAt - When the migration was applied.
+ * @property {number|null} durationMs - How long the migration took, in milliseconds.
+ * @property {number|null} batch - The `up` run the migration was applied in.
+ * @property {string|null} appliedBy - The database user that applied the migration.
+ * @property {string|null} hostname - The host the migration was applied from.
+ * @property {string|null} toolVersion - The version of sql-migrate that applied the migration.
+ * @property {string|null} checksum - The checksum of the migration file when it was applied.
+ *
+ * The metadata is null for migrations applied before it was recorded.
+ */
+
+/** A date without a time, e.g. "2023-09-22", which `until` takes as the whole day. */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a date filter can be compared with `applied_at`.
+ * @param {string} name - The name of the filter, for the error message.
+ * @param {string} value - The date, e.g. "2023-09-22" or "2023-09-22 03:44".
+ * @returns {string} The date.
+ * @throws {Error} If the value is not a date.
+ */
+const parseDateFilter = (name, value) => {
+  if (Number.isNaN(Date.parse(value))) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `Invalid date for '${name}': ${value}.`
+    );
+  }
+  return value;
+};
+
+/**
+ * Retrieves the applied migrations with the metadata recorded when they were applied,
+ * oldest first.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.since] - Only migrations applied at or after this date.
+ * @param {string} [options.until] - Only migrations applied at or before this date, or on it if it has no time.
+ * @param {number|string} [options.batch] - Only migrations applied in this batch.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If a filter is invalid.
+ * @throws {Error} If the migrations table predates the metadata columns and needs `setup`.
+ * @returns {Promise<{migrations: HistoryEntry[]}>} A promise that resolves to the matching migrations.
+ */
+export const getMigrationHistory = async (
+  client,
+  {
+    since,
+    until,
+    batch,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  if (!client) throw new Error("Client is not provided.");
+
+  const conditions = [];
+  const params = [];
+  const addCondition = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace("?", `$${params.length}`));
+  };
+
+  if (since) addCondition("applied_at >= ?", parseDateFilter("since", since));
+  if (until) {
+    addCondition(
+      DATE_ONLY.test(until) ? "applied_at < ?::date + 1" : "applied_at <= ?",
+      parseDateFilter("until", until)
+    );
+  }
+  if (batch !== undefined) {
+    const batchNumber = Number(batch);
+    if (!Number.isInteger(batchNumber) || batchNumber < 1) {
+      throw createError(ERROR_CODES.USAGE, "Batch must be a positive integer.");
+    }
+    addCondition("batch = ?", batchNumber);
+  }
+
+  await assertMigrationsTableUpToDate(client, { tableSchema, tableName });
+  const { rows } = await client.query(
+    `SELECT filename, applied_at, duration_ms, batch, applied_by, hostname, tool_version, checksum
+     FROM ${qualifyIdentifier(tableSchema, tableName)}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY applied_at, id`,
+    params
+  );
+
+  return {
+    migrations: rows.map((row) => ({
+      filename: row.filename,
+      appliedAt: row.applied_at,
+      durationMs: row.duration_ms,
+      batch: row.batch,
+      appliedBy: row.applied_by,
+      hostname: row.hostname,
+      toolVersion: row.tool_version,
+      checksum: row.checksum,
+    })),
+  };
+};
+
+/**
+ * Formats history entries as a plain text table.
+ * @param {HistoryEntry[]} migrations - The history entries.
+ * @returns {string} The table.
+ */
+export const formatHistoryTable = (migrations) => {
+  const cell = (value) => (value === null ? "-" : String(value));
+  return formatTable([
+    ["Applied At", "Batch", "Duration", "By", "Host", "Version", "Migration"],
+    ...migrations.map((migration) => [
+      migration.appliedAt.toISOString(),
+      cell(migration.batch),
+      migration.durationMs === null ? "-" : `${migration.durationMs} ms`,
+      cell(migration.appliedBy),
+      cell(migration.hostname),
+      cell(migration.toolVersion),
+      migration.filename,
+    ]),
+  ]);
+};
+
+/**
+ * Prints the history of applied migrations.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `getMigrationHistory`.
+ * @param {boolean} [options.json] - Print JSON instead of a table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the history as a `history` event, the console by default.
+ * @returns {Promise<{migrations: HistoryEntry[]}>} A promise that resolves to the matching migrations.
+ */
+export const handleHistory = async (client, options = {}) => {
+  const result = await getMigrationHistory(client, options);
+
+  let message;
+  if (options.json) {
+    message = JSON.stringify(result, null, 2);
+  } else if (result.migrations.length === 0) {
+    message = "No applied migrations match.";
+  } else {
+    message = formatHistoryTable(result.migrations);
+  }
+  resolveLogger(options.logger).event("history", result, message);
+  return result;
+};
+
+export default handleHistory;
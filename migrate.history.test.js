@@ -0,0 +1,156 @@
+import assert from "assert";
+import os from "os";
+import { withClient, readVersion } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp } from "./migrate.up.js";
+import { formatHistoryTable, getMigrationHistory } from "./migrate.history.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+
+describe("getMigrationHistory", () => {
+  it("should record who applied each migration, from where and in which batch", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await handleUp(client);
+
+      const { migrations } = await getMigrationHistory(client);
+      const {
+        rows: [{ current_user: currentUser }],
+      } = await client.query("SELECT current_user");
+      assert.deepStrictEqual(
+        migrations.map(({ filename, batch }) => [filename, batch]),
+        [
+          ["20230922034400001_create_users_table.apply.sql", 1],
+          ["20230922034400002_create_posts_table.apply.sql", 2],
+          ["20230922034400003_create_comments_table.apply.sql", 2],
+        ]
+      );
+      for (const migration of migrations) {
+        assert.strictEqual(migration.appliedBy, currentUser);
+        assert.strictEqual(migration.hostname, os.hostname());
+        assert.strictEqual(migration.toolVersion, readVersion());
+        assert.strictEqual(typeof migration.durationMs, "number");
+        assert.match(migration.checksum, /^[0-9a-f]{64}$/);
+      }
+    });
+  });
+
+  it("should filter by batch and date range", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await handleUp(client);
+
+      const { migrations: secondBatch } = await getMigrationHistory(client, {
+        batch: "2",
+      });
+      assert.strictEqual(secondBatch.length, 2);
+
+      const { migrations: future } = await getMigrationHistory(client, {
+        since: "2999-01-01",
+      });
+      assert.deepStrictEqual(future, []);
+
+      const { migrations: past } = await getMigrationHistory(client, {
+        since: "2000-01-01",
+        until: "2999-01-01",
+      });
+      assert.strictEqual(past.length, 3);
+    });
+  });
+
+  it("should include the whole day of a date-only until", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await client.query(
+        "UPDATE migrations SET applied_at = '2023-09-30 15:00'"
+      );
+
+      const { migrations: sameDay } = await getMigrationHistory(client, {
+        until: "2023-09-30",
+      });
+      assert.strictEqual(sameDay.length, 1);
+
+      const { migrations: dayBefore } = await getMigrationHistory(client, {
+        until: "2023-09-29",
+      });
+      assert.deepStrictEqual(dayBefore, []);
+
+      const { migrations: earlierThatDay } = await getMigrationHistory(client, {
+        until: "2023-09-30 14:00",
+      });
+      assert.deepStrictEqual(earlierThatDay, []);
+    });
+  });
+
+  it("should ask for setup on a migrations table from an older version", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE migrations (
+          id SERIAL PRIMARY KEY,
+          filename VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+      `);
+      await assert.rejects(
+        getMigrationHistory(client),
+        (error) =>
+          error.code === ERROR_CODES.CONFIG &&
+          /lacks the columns checksum, duration_ms, batch.*Run setup/.test(
+            error.message
+          )
+      );
+
+      await handleSetup(client);
+      assert.deepStrictEqual(
+        (await getMigrationHistory(client)).migrations,
+        []
+      );
+    });
+  });
+
+  it("should reject invalid filters", async () => {
+    const client = { query: () => assert.fail("should not query") };
+    await assert.rejects(
+      getMigrationHistory(client, { since: "yesterday-ish" }),
+      /Invalid date for 'since'/
+    );
+    await assert.rejects(
+      getMigrationHistory(client, { batch: "0" }),
+      /Batch must be a positive integer/
+    );
+  });
+});
+
+describe("formatHistoryTable", () => {
+  it("should show missing metadata of older migrations as dashes", () => {
+    const table = formatHistoryTable([
+      {
+        filename: "20230922034400001_create_users_table.apply.sql",
+        appliedAt: new Date("2023-09-22T03:44:00.000Z"),
+        durationMs: null,
+        batch: null,
+        appliedBy: null,
+        hostname: null,
+        toolVersion: null,
+        checksum: null,
+      },
+      {
+        filename: "20230922034400002_create_posts_table.apply.sql",
+        appliedAt: new Date("2023-09-23T03:44:00.000Z"),
+        durationMs: 42,
+        batch: 2,
+        appliedBy: "deploy",
+        hostname: "web-1",
+        toolVersion: "1.2.0",
+        checksum: "abc",
+      },
+    ]);
+    assert.deepStrictEqual(table.split("\n"), [
+      "Applied At                Batch  Duration  By      Host   Version  Migration",
+      "2023-09-22T03:44:00.000Z  -      -         -       -      -        20230922034400001_create_users_table.apply.sql",
+      "2023-09-23T03:44:00.000Z  2      42 ms     deploy  web-1  1.2.0    20230922034400002_create_posts_table.apply.sql",
+    ]);
+  });
+});
@@ -0,0 +1,357 @@
+import fs from "fs";
+import path from "path";
+import { MIGRATIONS_DIR, getAllMigrations } from "./migrate.utils.js";
+import {
+  splitStatements,
+  hasDirective,
+  DIRECTIVE_PREFIX,
+  NO_TRANSACTION_DIRECTIVE,
+} from "./migrate.sql.js";
+import {
+  APPLY_MIGRATION_FILE_SUFFIX,
+  REVERT_MIGRATION_FILE_SUFFIX,
+} from "./migrate.loader.js";
+import { BLANK_TEMPLATE } from "./migrate.templates.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { resolveLogger } from "./migrate.logger.js";
+
+/** The marker put in a drafted revert for statements that can't be undone. */
+export const IRREVERSIBLE_MARKER = "-- IRREVERSIBLE";
+
+/** The marker put in a drafted revert for statements left to be reverted by hand. */
+export const TODO_MARKER = "-- TODO: revert by hand";
+
+/**
+ * The draft for an apply migration with no statements yet, e.g. from the blank template.
+ * It is a placeholder, so `generate-revert` drafts over it once the apply migration is written.
+ */
+export const EMPTY_DRAFT = `${TODO_MARKER}: the apply migration has no statements yet, run generate-revert once it has`;
+
+/** An identifier, optionally quoted. */
+const IDENTIFIER = String.raw`(?:"[^"]+"|[\w$]+)`;
+
+/** An identifier, optionally schema-qualified. */
+const NAME = `${IDENTIFIER}(?:\\.${IDENTIFIER})?`;
+
+/**
+ * Removes the comments before a statement.
+ * @param {string} statement - The statement, as split by `splitStatements`.
+ * @returns {string} The statement without leading comments.
+ */
+const stripLeadingComments = (statement) => {
+  let sql = statement.trim();
+  for (;;) {
+    if (sql.startsWith("--")) {
+      const end = sql.indexOf("\n");
+      sql = end === -1 ? "" : sql.slice(end + 1).trim();
+    } else if (sql.startsWith("/*")) {
+      const end = sql.indexOf("*/");
+      sql = end === -1 ? "" : sql.slice(end + 2).trim();
+    } else {
+      return sql;
+    }
+  }
+};
+
+/**
+ * Splits the actions of an `ALTER TABLE` on top-level commas, leaving commas
+ * inside parentheses and quotes alone.
+ * @param {string} actions - The actions, e.g. "ADD COLUMN a int, ADD COLUMN b numeric(10, 2)".
+ * @returns {string[]} The actions.
+ */
+const splitActions = (actions) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < actions.length; i++) {
+    const char = actions[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      parts.push(actions.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(actions.slice(start).trim());
+  return parts;
+};
+
+/**
+ * Qualifies a name with the schema of another, e.g. an index with the schema of its table.
+ * @param {string} name - The name, e.g. "users_email_idx".
+ * @param {string} qualified - A possibly schema-qualified name, e.g. "billing.users".
+ * @returns {string} The name, in the same schema.
+ */
+const inSchemaOf = (name, qualified) => {
+  const schema = qualified.match(new RegExp(`^(${IDENTIFIER})\\.`));
+  return schema && !name.includes(".") ? `${schema[1]}.${name}` : name;
+};
+
+/**
+ * Reverts one action of an `ALTER TABLE`.
+ * @param {string} action - The action, e.g. "ADD COLUMN email text".
+ * @returns {{sql: string}|{irreversible: true}|null} The reverting action, whether it can't be reverted, or null if it is not recognised.
+ */
+const invertTableAction = (action) => {
+  let match;
+  if (
+    (match = action.match(
+      new RegExp(`^ADD\\s+CONSTRAINT\\s+(${NAME})\\s`, "i")
+    ))
+  ) {
+    return { sql: `DROP CONSTRAINT ${match[1]}` };
+  }
+  if (
+    /^ADD\s+(PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY|EXCLUDE)\b/i.test(action)
+  ) {
+    return null;
+  }
+  if (
+    (match = action.match(
+      new RegExp(
+        `^ADD\\s+(?:COLUMN\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?(${NAME})\\s`,
+        "i"
+      )
+    ))
+  ) {
+    return { sql: `DROP COLUMN ${match[1]}` };
+  }
+  if (
+    (match = action.match(
+      new RegExp(
+        `^RENAME\\s+(COLUMN\\s+|CONSTRAINT\\s+)?(${NAME})\\s+TO\\s+(${NAME})$`,
+        "i"
+      )
+    ))
+  ) {
+    const kind = (match[1] || "COLUMN ").trim().toUpperCase();
+    return { sql: `RENAME ${kind} ${match[3]} TO ${match[2]}` };
+  }
+  if (
+    /^(DROP|ALTER\s+(COLUMN\s+)?\S+\s+(SET\s+DATA\s+)?TYPE)\b/i.test(action)
+  ) {
+    return { irreversible: true };
+  }
+  return null;
+};
+
+/**
+ * @typedef {Object} InvertedStatement
+ * @property {string} [sql] - The statement that reverts it.
+ * @property {boolean} [irreversible] - True if it can't be undone, such as a `DROP`.
+ */
+
+/**
+ * Drafts the statement that reverts one statement of an apply migration.
+ * @param {string} statement - The statement, without its trailing semicolon.
+ * @returns {InvertedStatement|null} The reverting statement, whether it can't be reverted, or null if it is not recognised.
+ */
+export const invertStatement = (statement) => {
+  const sql = stripLeadingComments(statement).replace(/\s+/g, " ");
+  let match;
+
+  if (
+    (match = sql.match(
+      new RegExp(
+        `^CREATE\\s+(?:(?:GLOBAL\\s+|LOCAL\\s+)?(?:TEMP|TEMPORARY|UNLOGGED)\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${NAME})`,
+        "i"
+      )
+    ))
+  ) {
+    return { sql: `DROP TABLE ${match[1]};` };
+  }
+
+  if (
+    (match = sql.match(
+      new RegExp(
+        `^CREATE\\s+(?:UNIQUE\\s+)?INDEX\\s+(CONCURRENTLY\\s+)?(?:IF\\s+NOT\\s+EXISTS\\s+)?(${NAME})\\s+ON\\s+(?:ONLY\\s+)?(${NAME})`,
+        "i"
+      )
+    ))
+  ) {
+    const concurrently = match[1] ? "CONCURRENTLY " : "";
+    return {
+      sql: `DROP INDEX ${concurrently}${inSchemaOf(match[2], match[3])};`,
+    };
+  }
+
+  if (
+    (match = sql.match(
+      new RegExp(
+        `^ALTER\\s+(TABLE|INDEX|VIEW|MATERIALIZED\\s+VIEW|SEQUENCE|TYPE|SCHEMA)\\s+(?:IF\\s+EXISTS\\s+)?(${NAME})\\s+RENAME\\s+TO\\s+(${NAME})$`,
+        "i"
+      )
+    ))
+  ) {
+    const kind = match[1].toUpperCase();
+    return {
+      sql: `ALTER ${kind} ${inSchemaOf(match[3], match[2])} RENAME TO ${match[2]
+        .split(".")
+        .pop()};`,
+    };
+  }
+
+  if (
+    (match = sql.match(
+      new RegExp(
+        `^ALTER\\s+TABLE\\s+(IF\\s+EXISTS\\s+)?(ONLY\\s+)?(${NAME})\\s+(.+)$`,
+        "i"
+      )
+    ))
+  ) {
+    const inverted = splitActions(match[4]).map(invertTableAction);
+    if (inverted.some((action) => action === null)) return null;
+    if (inverted.some((action) => action.irreversible)) {
+      return { irreversible: true };
+    }
+    return {
+      sql: `ALTER TABLE ${match[1] || ""}${match[2] || ""}${match[3]} ${inverted
+        .reverse()
+        .map((action) => action.sql)
+        .join(", ")};`,
+    };
+  }
+
+  if (/^(DROP|TRUNCATE|DELETE)\b/i.test(sql)) return { irreversible: true };
+  return null;
+};
+
+/**
+ * @typedef {Object} RevertDraft
+ * @property {string} sql - The drafted revert SQL.
+ * @property {string[]} irreversible - The statements that can't be undone.
+ * @property {string[]} unrecognized - The statements the draft leaves to be reverted by hand.
+ */
+
+/**
+ * Drafts a revert migration from an apply migration, reverting its statements in reverse
+ * order. Statements that can't be undone get a loud `IRREVERSIBLE_MARKER`, and statements
+ * the drafter doesn't recognise a `TODO` comment. The draft is marked `no-transaction` like
+ * the apply migration, or when it reverts a statement `CONCURRENTLY`, which can't run in a transaction.
+ * An apply migration without statements gets `EMPTY_DRAFT` rather than an empty revert.
+ *
+ * @param {string} applySql - The SQL of the apply migration.
+ * @returns {RevertDraft} The draft.
+ */
+export const draftRevert = (applySql) => {
+  const irreversible = [];
+  const unrecognized = [];
+  const lines = splitStatements(applySql)
+    .reverse()
+    .map((statement) => {
+      const inverted = invertStatement(statement);
+      const oneLine = stripLeadingComments(statement).replace(/\s+/g, " ");
+      if (inverted?.sql) return inverted.sql;
+      if (inverted?.irreversible) {
+        irreversible.push(oneLine);
+        return `${IRREVERSIBLE_MARKER}: can't undo: ${oneLine};`;
+      }
+      unrecognized.push(oneLine);
+      return `${TODO_MARKER}: ${oneLine};`;
+    });
+  if (lines.length === 0) lines.push(EMPTY_DRAFT);
+
+  const noTransaction =
+    hasDirective(applySql, NO_TRANSACTION_DIRECTIVE) ||
+    lines.some(
+      (line) => !line.startsWith("--") && /\bCONCURRENTLY\b/i.test(line)
+    );
+  if (noTransaction) {
+    lines.unshift(`${DIRECTIVE_PREFIX} ${NO_TRANSACTION_DIRECTIVE}`);
+  }
+
+  return { sql: lines.join("\n"), irreversible, unrecognized };
+};
+
+/**
+ * Finds the apply file of a migration given as a filename, a path, a timestamp or a name.
+ * @param {string} migration - The migration, e.g. "20230922034400001" or "20230922034400001_create_users_table.apply.sql".
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
+ * @returns {Promise<string>} A promise that resolves to the filename of the apply migration.
+ * @throws {Error} If no apply migration, or more than one, matches.
+ */
+export const findApplyMigration = async (
+  migration,
+  migrationsDir = MIGRATIONS_DIR
+) => {
+  const filename = path.basename(migration);
+  const candidates = (await getAllMigrations(migrationsDir)).filter(
+    (candidate) =>
+      candidate.endsWith(APPLY_MIGRATION_FILE_SUFFIX) &&
+      (candidate === filename ||
+        candidate.startsWith(`${filename}_`) ||
+        candidate === `${filename}${APPLY_MIGRATION_FILE_SUFFIX}`)
+  );
+  if (candidates.length !== 1) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      candidates.length === 0
+        ? `No ${APPLY_MIGRATION_FILE_SUFFIX} migration matches ${migration}.`
+        : `More than one migration matches ${migration}: ${candidates.join(
+            ", "
+          )}.`
+    );
+  }
+  return candidates[0];
+};
+
+/**
+ * Checks whether a revert file still holds what `generate` wrote, so drafting over it loses nothing.
+ * @param {string} content - The content of the revert file.
+ * @returns {boolean} True if the file is empty or the generated placeholder.
+ */
+const isPlaceholder = (content) =>
+  ["", BLANK_TEMPLATE.down, EMPTY_DRAFT].includes(content.trim());
+
+/**
+ * Drafts the `.revert.sql` of a paired migration from its `.apply.sql`.
+ * @param {string} migration - The migration, see `findApplyMigration`.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {boolean} [options.force] - Overwrite a revert file that has been edited.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome and warnings, the console by default.
+ * @throws {Error} If the migration is not found, or its revert file has been edited and `force` is not set.
+ * @returns {Promise<RevertDraft & {revertFileName: string}>} A promise that resolves to the draft and the path it was written to.
+ */
+export const handleGenerateRevert = async (migration, options = {}) => {
+  const migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+  const logger = resolveLogger(options.logger);
+  const applyFile = await findApplyMigration(migration, migrationsDir);
+  const revertFileName = path.join(
+    migrationsDir,
+    applyFile.replace(APPLY_MIGRATION_FILE_SUFFIX, REVERT_MIGRATION_FILE_SUFFIX)
+  );
+
+  if (
+    !options.force &&
+    fs.existsSync(revertFileName) &&
+    !isPlaceholder(fs.readFileSync(revertFileName, "utf-8"))
+  ) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `${revertFileName} has already been written. Pass --force to replace it with a draft.`
+    );
+  }
+
+  const draft = draftRevert(
+    fs.readFileSync(path.join(migrationsDir, applyFile), "utf-8")
+  );
+  fs.writeFileSync(revertFileName, `${draft.sql}\n`);
+  logger.info(`Drafted ${revertFileName} from ${applyFile}.`);
+  for (const statement of draft.irreversible) {
+    logger.warn(`Can't undo: ${statement}`);
+  }
+  for (const statement of draft.unrecognized) {
+    logger.warn(`Revert by hand: ${statement}`);
+  }
+  return { ...draft, revertFileName };
+};
+
+export default handleGenerateRevert;
@@ -0,0 +1,182 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  draftRevert,
+  EMPTY_DRAFT,
+  invertStatement,
+  handleGenerateRevert,
+} from "./migrate.invert.js";
+import { silentLogger } from "./migrate.logger.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+
+describe("invertStatement", () => {
+  it("should drop created tables and indexes", () => {
+    assert.deepStrictEqual(
+      invertStatement(
+        "-- The users\nCREATE TABLE IF NOT EXISTS billing.users (\n  id serial PRIMARY KEY\n)"
+      ),
+      { sql: "DROP TABLE billing.users;" }
+    );
+    assert.deepStrictEqual(
+      invertStatement(
+        "CREATE UNIQUE INDEX CONCURRENTLY users_email_idx ON billing.users (email)"
+      ),
+      { sql: "DROP INDEX CONCURRENTLY billing.users_email_idx;" }
+    );
+  });
+
+  it("should revert the actions of an ALTER TABLE in reverse order", () => {
+    assert.deepStrictEqual(
+      invertStatement(
+        "ALTER TABLE users ADD COLUMN price numeric(10, 2), ADD CONSTRAINT users_price_check CHECK (price > 0), RENAME COLUMN name TO username"
+      ),
+      {
+        sql: "ALTER TABLE users RENAME COLUMN username TO name, DROP CONSTRAINT users_price_check, DROP COLUMN price;",
+      }
+    );
+  });
+
+  it("should rename back", () => {
+    assert.deepStrictEqual(
+      invertStatement("ALTER TABLE billing.users RENAME TO accounts"),
+      { sql: "ALTER TABLE billing.accounts RENAME TO users;" }
+    );
+    assert.deepStrictEqual(
+      invertStatement("ALTER INDEX users_email_idx RENAME TO users_mail_idx"),
+      { sql: "ALTER INDEX users_mail_idx RENAME TO users_email_idx;" }
+    );
+  });
+
+  it("should tell irreversible statements from unrecognised ones", () => {
+    assert.deepStrictEqual(
+      invertStatement("ALTER TABLE users DROP COLUMN legacy"),
+      { irreversible: true }
+    );
+    assert.deepStrictEqual(
+      invertStatement("ALTER TABLE users ALTER COLUMN name TYPE varchar(50)"),
+      { irreversible: true }
+    );
+    assert.deepStrictEqual(invertStatement("DROP TABLE sessions"), {
+      irreversible: true,
+    });
+    assert.strictEqual(invertStatement("UPDATE users SET name = ''"), null);
+    assert.strictEqual(
+      invertStatement("ALTER TABLE users ADD PRIMARY KEY (id)"),
+      null
+    );
+  });
+});
+
+describe("draftRevert", () => {
+  it("should revert every statement, newest first, and mark what it can't", () => {
+    const draft = draftRevert(
+      [
+        "CREATE TABLE likes (user_id int);",
+        "ALTER TABLE users DROP COLUMN legacy;",
+        "UPDATE users SET name = lower(name);",
+      ].join("\n")
+    );
+    assert.strictEqual(
+      draft.sql,
+      [
+        "-- TODO: revert by hand: UPDATE users SET name = lower(name);",
+        "-- IRREVERSIBLE: can't undo: ALTER TABLE users DROP COLUMN legacy;",
+        "DROP TABLE likes;",
+      ].join("\n")
+    );
+    assert.deepStrictEqual(draft.irreversible, [
+      "ALTER TABLE users DROP COLUMN legacy",
+    ]);
+    assert.deepStrictEqual(draft.unrecognized, [
+      "UPDATE users SET name = lower(name)",
+    ]);
+  });
+
+  it("should keep the draft out of a transaction like the apply migration", () => {
+    assert.strictEqual(
+      draftRevert(
+        "-- sql-migrate: no-transaction\nCREATE INDEX CONCURRENTLY users_email_idx ON users (email);"
+      ).sql,
+      "-- sql-migrate: no-transaction\nDROP INDEX CONCURRENTLY users_email_idx;"
+    );
+    assert.strictEqual(
+      draftRevert("CREATE INDEX CONCURRENTLY users_email_idx ON users (email);")
+        .sql,
+      "-- sql-migrate: no-transaction\nDROP INDEX CONCURRENTLY users_email_idx;"
+    );
+    assert.strictEqual(
+      draftRevert("CREATE INDEX users_email_idx ON users (email);").sql,
+      "DROP INDEX users_email_idx;"
+    );
+  });
+
+  it("should leave a marker rather than an empty revert", () => {
+    assert.strictEqual(
+      draftRevert("-- SQL statements for applying the migration").sql,
+      EMPTY_DRAFT
+    );
+  });
+});
+
+describe("handleGenerateRevert", () => {
+  let migrationsDir;
+  const applyFile = "20230922034400001_create_users_table.apply.sql";
+  const revertFile = "20230922034400001_create_users_table.revert.sql";
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    fs.writeFileSync(
+      path.join(migrationsDir, applyFile),
+      "CREATE TABLE users (id serial PRIMARY KEY);\n"
+    );
+    fs.writeFileSync(
+      path.join(migrationsDir, revertFile),
+      "-- SQL statements for reverting the migration"
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  it("should draft over the generated placeholder, found by timestamp", async () => {
+    const result = await handleGenerateRevert("20230922034400001", {
+      migrationsDir,
+      logger: silentLogger,
+    });
+    assert.strictEqual(
+      result.revertFileName,
+      path.join(migrationsDir, revertFile)
+    );
+    assert.strictEqual(
+      fs.readFileSync(result.revertFileName, "utf8"),
+      "DROP TABLE users;\n"
+    );
+  });
+
+  it("should draft over an earlier draft of an empty apply migration", async () => {
+    fs.writeFileSync(path.join(migrationsDir, revertFile), `${EMPTY_DRAFT}\n`);
+    const result = await handleGenerateRevert(applyFile, {
+      migrationsDir,
+      logger: silentLogger,
+    });
+    assert.strictEqual(result.sql, "DROP TABLE users;");
+  });
+
+  it("should not replace an edited revert file without force", async () => {
+    fs.writeFileSync(path.join(migrationsDir, revertFile), "DROP TABLE users;");
+    await assert.rejects(
+      handleGenerateRevert(applyFile, { migrationsDir, logger: silentLogger }),
+      (error) =>
+        error.code === ERROR_CODES.USAGE &&
+        /has already been written/.test(error.message)
+    );
+    await handleGenerateRevert(applyFile, {
+      migrationsDir,
+      force: true,
+      logger: silentLogger,
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import fs from "fs";
+import os from "os";
+import {
+  executeSQL,
+  executeInTransaction,
+  computeChecksum,
+  getAllMigrations,
+  qualifyIdentifier,
+  readVersion,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import {
+  readCatalog,
+  DEFAULT_SCHEMA_FILE,
+  LAST_MIGRATION_HEADER,
+} from "./migrate.dump.js";
+import {
+  determineMigrationsToApply,
+  getAppliedMigrations,
+  getNextBatch,
+} from "./migrate.up.js";
+import {
+  doesMigrationsTableExist,
+  setupMigrationsTable,
+} from "./migrate.setup.js";
+import { withMigrationLock } from "./migrate.lock.js";
+import { readMigrationSource } from "./migrate.loader.js";
+import { resolveLogger } from "./migrate.logger.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import pg from "pg";
+
+/**
+ * Reads the newest migration a snapshot was taken after from its header.
+ * @param {string} sql - The content of the snapshot file.
+ * @param {string} [schemaFile] - The path of the snapshot file, for the error message.
+ * @throws {Error} If the file has no such header, i.e. `schema:dump` didn't write it.
+ * @returns {string|null} The filename of the migration, or null if none was applied.
+ */
+export const readLastMigration = (sql, schemaFile = "The schema file") => {
+  const header = sql
+    .split(/\r?\n/)
+    .find((line) => line.startsWith(LAST_MIGRATION_HEADER));
+  if (!header) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `${schemaFile} is not a schema snapshot: it has no '${LAST_MIGRATION_HEADER}' line. Write it with schema:dump.`
+    );
+  }
+  const filename = header.slice(LAST_MIGRATION_HEADER.length).trim();
+  return filename === "none" ? null : filename;
+};
+
+/**
+ * Checks that the database holds no tables, views, sequences, functions or types of
+ * its own and no applied migrations. An empty migrations table, e.g. from `setup`, is fine.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the database is not empty.
+ * @returns {Promise<void>} A promise that resolves when the database is empty.
+ */
+export const assertDatabaseEmpty = async (client, options = {}) => {
+  const catalog = await readCatalog(client, options);
+  const objects = [
+    ...catalog.enums,
+    ...catalog.sequences,
+    ...catalog.functions,
+    ...catalog.tables,
+    ...catalog.views,
+  ].map(({ name }) => name);
+  const applied = (await doesMigrationsTableExist(client, options))
+    ? await getAppliedMigrations(client, options)
+    : [];
+  if (objects.length === 0 && applied.length === 0) return;
+
+  const contents = [
+    ...(objects.length > 0
+      ? [
+          objects.length > 3
+            ? `${objects.slice(0, 3).join(", ")} and ${objects.length - 3} more`
+            : objects.join(", "),
+        ]
+      : []),
+    ...(applied.length > 0 ? [`${applied.length} applied migrations`] : []),
+  ];
+  throw createError(
+    ERROR_CODES.USAGE,
+    `Refusing to load the schema into a database that isn't empty: it has ${contents.join(
+      " and "
+    )}. Pass --force to load it anyway.`
+  );
+};
+
+/**
+ * Loads a schema snapshot written by `schema:dump` and marks every migration up to the
+ * snapshot's last migration as applied, in one transaction, so only newer migrations
+ * are left for `up`. The migrations are recorded in one batch with their current checksums.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.schemaFile=DEFAULT_SCHEMA_FILE] - The snapshot to load.
+ * @param {boolean} [options.force] - Load the snapshot even if the database is not empty.
+ * @param {boolean} [options.lock=true] - Set to false to run without the migration lock.
+ * @param {number} [options.lockTimeout] - How long to wait for the migration lock, in milliseconds.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If the file is missing or not a snapshot.
+ * @throws {Error} If the database is not empty and `force` is not set.
+ * @returns {Promise<{marked: string[], batch: number}>} A promise that resolves to the migrations marked as applied and their batch.
+ */
+export const loadSchema = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+  const {
+    schemaFile = DEFAULT_SCHEMA_FILE,
+    migrationsDir,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+    force,
+  } = options;
+
+  if (!fs.existsSync(schemaFile)) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `There is no schema snapshot at ${schemaFile}. Write one with schema:dump.`
+    );
+  }
+  const sql = fs.readFileSync(schemaFile, "utf-8");
+  const lastMigration = readLastMigration(sql, schemaFile);
+
+  return withMigrationLock(
+    client,
+    async () => {
+      if (!force) await assertDatabaseEmpty(client, options);
+
+      return executeInTransaction(client, async () => {
+        await executeSQL(client, sql);
+        await client.query("RESET check_function_bodies");
+        await setupMigrationsTable(client, options);
+
+        const marked = lastMigration
+          ? determineMigrationsToApply(
+              await getAllMigrations(migrationsDir),
+              await getAppliedMigrations(client, options),
+              lastMigration.split("_")[0]
+            ).sort((a, b) => a.localeCompare(b))
+          : [];
+        const batch = await getNextBatch(client, options);
+        for (const filename of marked) {
+          const source = await readMigrationSource(
+            filename,
+            "up",
+            migrationsDir
+          );
+          await executeSQL(
+            client,
+            `INSERT INTO ${qualifyIdentifier(
+              tableSchema,
+              tableName
+            )} (filename, checksum, batch, hostname, tool_version) VALUES ($1, $2, $3, $4, $5)`,
+            [
+              filename,
+              computeChecksum(source),
+              batch,
+              os.hostname(),
+              readVersion(),
+            ]
+          );
+        }
+        return { marked, batch };
+      });
+    },
+    options
+  );
+};
+
+/**
+ * Handles loading a schema snapshot.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `loadSchema`.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome, the console by default.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If the snapshot cannot be loaded.
+ * @returns {Promise<{marked: string[], batch: number}>} A promise that resolves to the migrations marked as applied and their batch.
+ */
+export const handleLoad = async (client, options = {}) => {
+  const logger = resolveLogger(options.logger);
+  try {
+    const result = await loadSchema(client, options);
+    logger.info(
+      `Loaded ${options.schemaFile || DEFAULT_SCHEMA_FILE} and marked ${
+        result.marked.length
+      } migrations as applied.`
+    );
+    return result;
+  } catch (error) {
+    logger.error("Failed to load the schema:", error);
+    throw error;
+  }
+};
+
+export default handleLoad;
@@ -0,0 +1,85 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp, getAppliedMigrations } from "./migrate.up.js";
+import { dumpSchema, LAST_MIGRATION_HEADER } from "./migrate.dump.js";
+import { silentLogger } from "./migrate.logger.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+import { loadSchema, readLastMigration } from "./migrate.load.js";
+
+describe("readLastMigration", () => {
+  it("should read the migration named in the header", () => {
+    assert.strictEqual(
+      readLastMigration(
+        `-- Schema snapshot\n${LAST_MIGRATION_HEADER} 20230922034400003_create_comments_table.apply.sql\n`
+      ),
+      "20230922034400003_create_comments_table.apply.sql"
+    );
+    assert.strictEqual(
+      readLastMigration(`${LAST_MIGRATION_HEADER} none\n`),
+      null
+    );
+  });
+
+  it("should reject files schema:dump didn't write", () => {
+    assert.throws(
+      () => readLastMigration("CREATE TABLE users (id int);", "seed.sql"),
+      (error) =>
+        error.code === ERROR_CODES.USAGE &&
+        /seed\.sql is not a schema snapshot/.test(error.message)
+    );
+  });
+});
+
+describe("loadSchema", () => {
+  let outputDir;
+  let schemaFile;
+
+  beforeEach(async () => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "schema-"));
+    schemaFile = path.join(outputDir, "schema.sql");
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+      await dumpSchema(client, { schemaFile, logger: silentLogger });
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("should load the snapshot and mark the migrations in it as applied", async () => {
+    await withClient(async (client) => {
+      const { marked, batch } = await loadSchema(client, { schemaFile });
+
+      assert.strictEqual(marked.length, 3);
+      assert.strictEqual(batch, 1);
+      assert.deepStrictEqual(await getAppliedMigrations(client), marked);
+      const { rows } = await client.query(
+        "SELECT to_regclass('public.comments') IS NOT NULL AS exists"
+      );
+      assert.strictEqual(rows[0].exists, true);
+      assert.deepStrictEqual(
+        (await handleUp(client, undefined, { logger: silentLogger })).applied,
+        []
+      );
+    });
+  });
+
+  it("should refuse to load into a database that isn't empty", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+      await assert.rejects(
+        loadSchema(client, { schemaFile }),
+        (error) =>
+          error.code === ERROR_CODES.USAGE &&
+          /isn't empty: it has .* and 3 applied migrations/.test(error.message)
+      );
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { readMigrationContent, MIGRATIONS_DIR } from "./migrate.utils.js";
+
+/**
+ * @typedef {import("pg").Client} Client
+ */
+
+export const APPLY_MIGRATION_FILE_SUFFIX = ".apply.sql";
+export const REVERT_MIGRATION_FILE_SUFFIX = ".revert.sql";
+export const SINGLE_FILE_MIGRATION_SUFFIX = ".sql";
+export const JAVASCRIPT_MIGRATION_SUFFIX = ".js";
+
+export const UP_SECTION_MARKER = "-- +migrate up";
+export const DOWN_SECTION_MARKER = "-- +migrate down";
+const SECTION_MARKER = /^--\s*\+migrate\s+(up|down)\b/i;
+
+/**
+ * Checks whether a file is a single-file migration, i.e. `<timestamp>_<name>.sql`
+ * holding both an up and a down section.
+ * @param {string} filename - The filename of the migration.
+ * @returns {boolean} True for a single-file migration.
+ */
+export const isSingleFileMigration = (filename) =>
+  /^\d+_.+\.sql$/.test(filename) &&
+  !filename.endsWith(APPLY_MIGRATION_FILE_SUFFIX) &&
+  !filename.endsWith(REVERT_MIGRATION_FILE_SUFFIX);
+
+/**
+ * Checks whether a file is a JavaScript migration, i.e. `<timestamp>_<name>.js`
+ * exporting async `up(client)` and `down(client)` functions.
+ * @param {string} filename - The filename of the migration.
+ * @returns {boolean} True for a JavaScript migration.
+ */
+export const isJavaScriptMigration = (filename) =>
+  /^\d+_.+\.js$/.test(filename);
+
+/**
+ * Checks whether a file is what gets applied and recorded for a migration:
+ * an `.apply.sql` file, a single-file migration or a JavaScript migration.
+ * @param {string} filename - The filename of the migration.
+ * @returns {boolean} True if the file can be applied.
+ */
+export const isApplyMigration = (filename) =>
+  filename.endsWith(APPLY_MIGRATION_FILE_SUFFIX) ||
+  isSingleFileMigration(filename) ||
+  isJavaScriptMigration(filename);
+
+/**
+ * Checks whether a file can be run to revert a migration:
+ * a `.revert.sql` file, a single-file migration or a JavaScript migration.
+ * @param {string} filename - The filename of the migration.
+ * @returns {boolean} True if the file can be reverted.
+ */
+export const isRevertMigration = (filename) =>
+  filename.endsWith(REVERT_MIGRATION_FILE_SUFFIX) ||
+  isSingleFileMigration(filename) ||
+  isJavaScriptMigration(filename);
+
+/**
+ * Splits a single-file migration into its up and down sections.
+ * Comments before the first section, such as `-- sql-migrate:` directives, belong to both.
+ *
+ * @param {string} content - The content of the migration file.
+ * @param {string} [filename="migration"] - The filename, for error messages.
+ * @returns {{up: string, down: string}} The SQL of each section.
+ * @throws {Error} If the file has no up section, repeats a section, or has SQL outside of the sections.
+ */
+export const parseMigrationSections = (content, filename = "migration") => {
+  const header = [];
+  const sections = {};
+  let current = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const marker = line.trim().match(SECTION_MARKER);
+    if (marker) {
+      current = marker[1].toLowerCase();
+      if (sections[current]) {
+        throw new Error(
+          `${filename} has more than one '-- +migrate ${current}' section.`
+        );
+      }
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    } else if (line.trim() !== "" && !line.trim().startsWith("--")) {
+      throw new Error(
+        `${filename} has SQL before its first '-- +migrate' section.`
+      );
+    } else {
+      header.push(line);
+    }
+  }
+
+  if (!sections.up) {
+    throw new Error(`${filename} has no '${UP_SECTION_MARKER}' section.`);
+  }
+
+  const withHeader = (lines) => [...header, ...lines].join("\n").trim() + "\n";
+  return {
+    up: withHeader(sections.up),
+    down: withHeader(sections.down || []),
+  };
+};
+
+/**
+ * Reads the source of a migration in one direction: what its checksum is computed from
+ * and what a dry run shows. Paired migrations keep each direction in its own file,
+ * single-file migrations are split into sections, and JavaScript migrations are read whole.
+ *
+ * @param {string} filename - The `.apply.sql`, `.revert.sql`, single-file or JavaScript migration.
+ * @param {string} direction - Either "up" or "down".
+ * @param {string} [migrationsDir] - The directory holding the migrations.
+ * @returns {Promise<string>} A promise that resolves to the source.
+ * @throws {Error} If reading or parsing the file fails.
+ */
+export const readMigrationSource = async (
+  filename,
+  direction,
+  migrationsDir
+) => {
+  const content = await readMigrationContent(filename, migrationsDir);
+  if (!isSingleFileMigration(filename)) return content;
+
+  return parseMigrationSections(content, filename)[direction];
+};
+
+/**
+ * Reads the source of a migration in one direction, or null if its file does not exist.
+ * @param {string} filename - The `.apply.sql`, `.revert.sql`, single-file or JavaScript migration.
+ * @param {string} direction - Either "up" or "down".
+ * @param {string} [migrationsDir] - The directory holding the migrations.
+ * @returns {Promise<string|null>} A promise that resolves to the source.
+ * @throws {Error} If reading an existing file or parsing it fails.
+ */
+export const readMigrationSourceIfExists = async (
+  filename,
+  direction,
+  migrationsDir
+) => {
+  try {
+    return await readMigrationSource(filename, direction, migrationsDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Imports the function a JavaScript migration exports for one direction.
+ * @param {string} filename - The JavaScript migration.
+ * @param {string} direction - Either "up" or "down".
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
+ * @returns {Promise<function(Client): Promise<*>>} A promise that resolves to the function.
+ * @throws {Error} If the module does not export the function.
+ */
+const importMigrationFunction = async (
+  filename,
+  direction,
+  migrationsDir = MIGRATIONS_DIR
+) => {
+  const module = await import(
+    pathToFileURL(path.resolve(migrationsDir, filename)).href
+  );
+  if (typeof module[direction] !== "function") {
+    throw new Error(`${filename} does not export a '${direction}' function.`);
+  }
+  return module[direction];
+};
+
+/**
+ * Loads a migration for running in one direction.
+ * @param {string} filename - The `.apply.sql`, `.revert.sql`, single-file or JavaScript migration.
+ * @param {string} direction - Either "up" or "down".
+ * @param {string} [migrationsDir] - The directory holding the migrations.
+ * @returns {Promise<{source: string, body: string|function(Client): Promise<*>}>} A promise that resolves to
+ *   the source of the migration and its body: the SQL to run, or the function to call with the client.
+ * @throws {Error} If reading, parsing or importing the file fails.
+ */
+export const loadMigration = async (filename, direction, migrationsDir) => {
+  const source = await readMigrationSource(filename, direction, migrationsDir);
+  if (!isJavaScriptMigration(filename)) return { source, body: source };
+
+  return {
+    source,
+    body: await importMigrationFunction(filename, direction, migrationsDir),
+  };
+};
@@ -0,0 +1,214 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  isSingleFileMigration,
+  isJavaScriptMigration,
+  isApplyMigration,
+  isRevertMigration,
+  parseMigrationSections,
+  readMigrationSource,
+  loadMigration,
+} from "./migrate.loader.js";
+
+describe("isSingleFileMigration", () => {
+  it("should accept timestamped .sql files", () => {
+    assert.strictEqual(
+      isSingleFileMigration("20230922034400004_create_likes_table.sql"),
+      true
+    );
+  });
+
+  it("should reject paired and untimestamped files", () => {
+    assert.strictEqual(
+      isSingleFileMigration("20230922034400001_create_users_table.apply.sql"),
+      false
+    );
+    assert.strictEqual(
+      isSingleFileMigration("20230922034400001_create_users_table.revert.sql"),
+      false
+    );
+    assert.strictEqual(isSingleFileMigration("invalid_migration.sql"), false);
+  });
+});
+
+describe("isJavaScriptMigration", () => {
+  it("should recognise timestamped JavaScript files", () => {
+    assert.strictEqual(
+      isJavaScriptMigration("20230922034400005_seed_users.js"),
+      true
+    );
+    assert.strictEqual(isJavaScriptMigration("helpers.js"), false);
+    assert.strictEqual(
+      isJavaScriptMigration("20230922034400004_create_likes_table.sql"),
+      false
+    );
+  });
+});
+
+describe("isApplyMigration and isRevertMigration", () => {
+  it("should tell the two halves of a paired migration apart", () => {
+    const apply = "20230922034400001_create_users_table.apply.sql";
+    const revert = "20230922034400001_create_users_table.revert.sql";
+    assert.deepStrictEqual(
+      [isApplyMigration(apply), isRevertMigration(apply)],
+      [true, false]
+    );
+    assert.deepStrictEqual(
+      [isApplyMigration(revert), isRevertMigration(revert)],
+      [false, true]
+    );
+  });
+
+  it("should treat single-file migrations as both", () => {
+    const migration = "20230922034400004_create_likes_table.sql";
+    assert.strictEqual(isApplyMigration(migration), true);
+    assert.strictEqual(isRevertMigration(migration), true);
+  });
+
+  it("should treat JavaScript migrations as both", () => {
+    const migration = "20230922034400005_seed_users.js";
+    assert.strictEqual(isApplyMigration(migration), true);
+    assert.strictEqual(isRevertMigration(migration), true);
+  });
+});
+
+describe("parseMigrationSections", () => {
+  it("should split the up and down sections", () => {
+    const content = [
+      "-- +migrate up",
+      "CREATE TABLE likes (id SERIAL PRIMARY KEY);",
+      "",
+      "-- +migrate down",
+      "DROP TABLE likes;",
+    ].join("\n");
+    assert.deepStrictEqual(parseMigrationSections(content), {
+      up: "CREATE TABLE likes (id SERIAL PRIMARY KEY);\n",
+      down: "DROP TABLE likes;\n",
+    });
+  });
+
+  it("should keep header comments in both sections", () => {
+    const content = [
+      "-- sql-migrate: no-transaction",
+      "-- +Migrate Up",
+      "CREATE INDEX CONCURRENTLY likes_idx ON likes (id);",
+      "-- +Migrate Down",
+      "DROP INDEX CONCURRENTLY likes_idx;",
+    ].join("\n");
+    const { up, down } = parseMigrationSections(content);
+    assert.match(up, /^-- sql-migrate: no-transaction\nCREATE INDEX/);
+    assert.match(down, /^-- sql-migrate: no-transaction\nDROP INDEX/);
+  });
+
+  it("should throw an error without an up section", () => {
+    assert.throws(
+      () => parseMigrationSections("-- +migrate down\nSELECT 1;", "x.sql"),
+      /x.sql has no '-- \+migrate up' section./
+    );
+  });
+
+  it("should throw an error for SQL outside the sections", () => {
+    assert.throws(
+      () => parseMigrationSections("SELECT 1;\n-- +migrate up\nSELECT 2;"),
+      /SQL before its first '-- \+migrate' section/
+    );
+  });
+
+  it("should throw an error for a repeated section", () => {
+    assert.throws(
+      () =>
+        parseMigrationSections(
+          "-- +migrate up\nSELECT 1;\n-- +migrate up\nSELECT 2;"
+        ),
+      /more than one '-- \+migrate up' section/
+    );
+  });
+});
+
+describe("readMigrationSource", () => {
+  it("should read each direction of a single-file migration", async () => {
+    const migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      const filename = "20230922034400004_create_likes_table.sql";
+      fs.writeFileSync(
+        path.join(migrationsDir, filename),
+        "-- +migrate up\nCREATE TABLE likes ();\n-- +migrate down\nDROP TABLE likes;\n"
+      );
+      assert.strictEqual(
+        await readMigrationSource(filename, "up", migrationsDir),
+        "CREATE TABLE likes ();\n"
+      );
+      assert.strictEqual(
+        await readMigrationSource(filename, "down", migrationsDir),
+        "DROP TABLE likes;\n"
+      );
+    } finally {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("loadMigration", () => {
+  let migrationsDir;
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    fs.writeFileSync(
+      path.join(migrationsDir, "package.json"),
+      JSON.stringify({ type: "module" })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  it("should load the SQL of a SQL migration", async () => {
+    const filename = "20230922034400001_create_users_table.apply.sql";
+    fs.writeFileSync(
+      path.join(migrationsDir, filename),
+      "CREATE TABLE users ();\n"
+    );
+
+    const { source, body } = await loadMigration(filename, "up", migrationsDir);
+    assert.strictEqual(source, "CREATE TABLE users ();\n");
+    assert.strictEqual(body, source);
+  });
+
+  it("should load the exported function of a JavaScript migration", async () => {
+    const filename = "20230922034400005_seed_users.js";
+    const content = [
+      "export const up = async (client) => client.query('up');",
+      "export const down = async (client) => client.query('down');",
+    ].join("\n");
+    fs.writeFileSync(path.join(migrationsDir, filename), content);
+
+    const queries = [];
+    const client = { query: async (sql) => queries.push(sql) };
+    for (const direction of ["up", "down"]) {
+      const { source, body } = await loadMigration(
+        filename,
+        direction,
+        migrationsDir
+      );
+      assert.strictEqual(source, content);
+      await body(client);
+    }
+    assert.deepStrictEqual(queries, ["up", "down"]);
+  });
+
+  it("should throw if a JavaScript migration does not export the direction", async () => {
+    const filename = "20230922034400005_seed_users.js";
+    fs.writeFileSync(
+      path.join(migrationsDir, filename),
+      "export const up = async () => {};\n"
+    );
+
+    await assert.rejects(
+      loadMigration(filename, "down", migrationsDir),
+      /does not export a 'down' function/
+    );
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import pg from "pg";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+
+export const DEFAULT_LOCK_TIMEOUT = 60000;
+const LOCK_POLL_INTERVAL = 250;
+
+/**
+ * Builds the advisory lock key for a migrations table, so runs against
+ * different tables in the same database don't block each other.
+ *
+ * @param {string} tableName - The name of the migrations table.
+ * @param {string} [tableSchema=DEFAULT_MIGRATIONS_SCHEMA] - The schema of the migrations table.
+ * @returns {string} The key that is hashed into the advisory lock id.
+ */
+export const migrationLockKey = (
+  tableName,
+  tableSchema = DEFAULT_MIGRATIONS_SCHEMA
+) => `sql-migrate:${tableSchema}.${tableName}`;
+
+const sleep = (milliseconds) =>
+  new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+/**
+ * Tries to take the migration lock without waiting.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {string} key - The lock key.
+ * @returns {Promise<boolean>} A promise that resolves to true if the lock was taken.
+ */
+const tryAdvisoryLock = async (client, key) => {
+  const { rows } = await client.query(
+    "SELECT pg_try_advisory_lock(hashtext($1)) AS locked",
+    [key]
+  );
+  return rows[0].locked;
+};
+
+/**
+ * Takes the migration lock, waiting for another run to release it.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {number} [options.lockTimeout=DEFAULT_LOCK_TIMEOUT] - How long to wait for the lock, in milliseconds.
+ * @throws {Error} If the lock is still held by another run after the timeout.
+ * @returns {Promise<void>} A promise that resolves once the lock is held.
+ */
+export const acquireMigrationLock = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+    lockTimeout = DEFAULT_LOCK_TIMEOUT,
+  } = {}
+) => {
+  if (!Number.isFinite(Number(lockTimeout)) || Number(lockTimeout) < 0) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      "Lock timeout must be a non-negative number."
+    );
+  }
+  const key = migrationLockKey(tableName, tableSchema);
+  const deadline = Date.now() + Number(lockTimeout);
+
+  while (!(await tryAdvisoryLock(client, key))) {
+    if (Date.now() >= deadline) {
+      throw createError(
+        ERROR_CODES.LOCK_TIMEOUT,
+        `Another migration is in progress: could not acquire the lock on '${tableSchema}.${tableName}' within ${lockTimeout}ms.`
+      );
+    }
+    await sleep(LOCK_POLL_INTERVAL);
+  }
+};
+
+/**
+ * Releases the migration lock.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<void>} A promise that resolves once the lock is released.
+ */
+export const releaseMigrationLock = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  await client.query("SELECT pg_advisory_unlock(hashtext($1))", [
+    migrationLockKey(tableName, tableSchema),
+  ]);
+};
+
+/**
+ * Runs an action while holding the migration lock, so concurrent runners
+ * against the same database take turns instead of racing.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {function(): Promise<*>} action - The action to run.
+ * @param {Object} [options] - Migration options.
+ * @param {boolean} [options.lock=true] - Set to false to run without taking the lock.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {number} [options.lockTimeout] - How long to wait for the lock, in milliseconds.
+ * @returns {Promise<*>} A promise that resolves to the result of the action.
+ */
+export const withMigrationLock = async (client, action, options = {}) => {
+  if (options.lock === false) return action();
+
+  await acquireMigrationLock(client, options);
+  try {
+    return await action();
+  } finally {
+    await releaseMigrationLock(client, options);
+  }
+};
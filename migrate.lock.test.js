@@ -0,0 +1,114 @@
+import assert from "assert";
+import { withClient, connectClient } from "./migrate.utils.js";
+import {
+  migrationLockKey,
+  acquireMigrationLock,
+  releaseMigrationLock,
+  withMigrationLock,
+} from "./migrate.lock.js";
+
+/**
+ * Runs a test with a second connection, standing in for another runner.
+ */
+const withOtherClient = async (testFn) => {
+  const otherClient = await connectClient();
+  try {
+    await testFn(otherClient);
+  } finally {
+    await otherClient.end();
+  }
+};
+
+describe("migrationLockKey", () => {
+  it("should include the migrations table name", () => {
+    assert.strictEqual(
+      migrationLockKey("migrations"),
+      "sql-migrate:public.migrations"
+    );
+  });
+
+  it("should include the migrations table schema", () => {
+    assert.strictEqual(
+      migrationLockKey("migrations", "billing"),
+      "sql-migrate:billing.migrations"
+    );
+  });
+});
+
+describe("acquireMigrationLock", () => {
+  it("should fail when another runner holds the lock", async () => {
+    await withClient(async (client) => {
+      await withOtherClient(async (otherClient) => {
+        await acquireMigrationLock(otherClient);
+        try {
+          await assert.rejects(
+            acquireMigrationLock(client, { lockTimeout: 0 }),
+            /Another migration is in progress/
+          );
+        } finally {
+          await releaseMigrationLock(otherClient);
+        }
+      });
+    });
+  });
+
+  it("should wait for another runner to release the lock", async () => {
+    await withClient(async (client) => {
+      await withOtherClient(async (otherClient) => {
+        await acquireMigrationLock(otherClient);
+        setTimeout(() => releaseMigrationLock(otherClient), 300);
+        await acquireMigrationLock(client, { lockTimeout: 5000 });
+        await releaseMigrationLock(client);
+      });
+    });
+  });
+
+  it("should not block runners using another migrations table", async () => {
+    await withClient(async (client) => {
+      await withOtherClient(async (otherClient) => {
+        await acquireMigrationLock(otherClient);
+        try {
+          await acquireMigrationLock(client, {
+            tableName: "schema_history",
+            lockTimeout: 0,
+          });
+          await releaseMigrationLock(client, { tableName: "schema_history" });
+        } finally {
+          await releaseMigrationLock(otherClient);
+        }
+      });
+    });
+  });
+});
+
+describe("withMigrationLock", () => {
+  it("should release the lock when the action fails", async () => {
+    await withClient(async (client) => {
+      await assert.rejects(
+        withMigrationLock(client, async () => {
+          throw new Error("boom");
+        }),
+        /boom/
+      );
+      await withOtherClient((otherClient) =>
+        withMigrationLock(otherClient, async () => {}, { lockTimeout: 0 })
+      );
+    });
+  });
+
+  it("should skip the lock when lock is false", async () => {
+    await withClient(async (client) => {
+      await withOtherClient(async (otherClient) => {
+        await acquireMigrationLock(otherClient);
+        try {
+          const result = await withMigrationLock(client, async () => "ran", {
+            lock: false,
+          });
+          assert.strictEqual(result, "ran");
+        } finally {
+          await releaseMigrationLock(otherClient);
+        }
+      });
+    });
+  });
+});
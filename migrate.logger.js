@@ -0,0 +1,207 @@
+/**
+ * Events reported while migrations run. Every event carries a `direction` of "up" or "down";
+ * the migration events carry the `migration` filename, and the events that end something
+ * carry its `durationMs`.
+ */
+export const LOG_EVENTS = {
+  MIGRATION_START: "migration:start",
+  MIGRATION_SUCCESS: "migration:success",
+  MIGRATION_ERROR: "migration:error",
+  RUN_COMPLETE: "run:complete",
+};
+
+/**
+ * @typedef {Object} Logger
+ * @property {function(string): void} [info] - Receives progress messages.
+ * @property {function(string): void} [warn] - Receives warnings.
+ * @property {function(string, Error=): void} [error] - Receives failures, with the error if there is one.
+ * @property {function(string, Object, string=): void} [event] - Receives structured events such as
+ *   `LOG_EVENTS`, along with a human-readable message if there is one. Loggers without it
+ *   receive the message through `info` or `error` instead.
+ */
+
+const noop = () => {};
+
+/**
+ * Describes an event in words, for loggers that print text.
+ * @param {string} type - The event type, one of `LOG_EVENTS`.
+ * @param {Object} data - The event data.
+ * @returns {string|null} The message, or null if the event is not worth printing.
+ */
+export const describeEvent = (type, data) => {
+  const action = data.direction === "down" ? "reverted" : "applied";
+  switch (type) {
+    case LOG_EVENTS.MIGRATION_START:
+      return `${data.direction === "down" ? "Reverting" : "Applying"} ${
+        data.migration
+      }...`;
+    case LOG_EVENTS.MIGRATION_SUCCESS:
+      return `${data.migration} ${action} successfully (${data.durationMs} ms).`;
+    case LOG_EVENTS.MIGRATION_ERROR:
+      return `${data.migration} failed after ${data.durationMs} ms.`;
+    case LOG_EVENTS.RUN_COMPLETE:
+      return data.status === "succeeded" && data.migrations.length > 0
+        ? `${data.migrations.length} migrations ${action} in ${data.durationMs} ms.`
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Creates a logger that prints to the console. Events other than `LOG_EVENTS`, such as
+ * the `status` and `plan` a command reports, are its output and are always printed.
+ *
+ * @param {Object} [options] - Logger options.
+ * @param {boolean} [options.quiet] - Leave out progress messages, printing only warnings, errors and the output.
+ * @returns {Logger} The logger.
+ */
+export const createConsoleLogger = ({ quiet = false } = {}) => {
+  const info = quiet ? noop : (message) => console.log(message);
+  const error = (message, cause) =>
+    cause ? console.error(message, cause) : console.error(message);
+
+  return {
+    info,
+    warn: (message) => console.warn(message),
+    error,
+    event: (type, data, message = describeEvent(type, data)) => {
+      if (message === null) return;
+      if (type === LOG_EVENTS.MIGRATION_ERROR) error(message);
+      else if (Object.values(LOG_EVENTS).includes(type)) info(message);
+      else console.log(message);
+    },
+  };
+};
+
+/**
+ * Serializes errors found in event data, which `JSON.stringify` would turn into `{}`.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value.
+ * @returns {*} The value to write.
+ */
+const serializeErrors = (key, value) =>
+  value instanceof Error ? { message: value.message, code: value.code } : value;
+
+/**
+ * Creates a logger that writes every message and event as one line of JSON.
+ * Messages are written as `log` events with a `level`.
+ *
+ * @param {Object} [options] - Logger options.
+ * @param {function(string): void} [options.write] - Writes a line, to stdout by default.
+ * @returns {Logger} The logger.
+ */
+export const createJsonLogger = ({
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) => {
+  const emit = (type, data) =>
+    write(
+      JSON.stringify(
+        { event: type, time: new Date().toISOString(), ...data },
+        serializeErrors
+      )
+    );
+
+  return {
+    info: (message) => emit("log", { level: "info", message }),
+    warn: (message) => emit("log", { level: "warn", message }),
+    error: (message, cause) =>
+      emit("log", { level: "error", message, error: cause }),
+    event: (type, data) => emit(type, data),
+  };
+};
+
+/**
+ * Creates the logger for the CLI flags.
+ * @param {Object} [options] - Logger options.
+ * @param {boolean} [options.json] - Write newline-delimited JSON events.
+ * @param {boolean} [options.quiet] - Leave out progress messages.
+ * @returns {Logger} The logger.
+ */
+export const createLogger = ({ json, quiet } = {}) =>
+  json ? createJsonLogger() : createConsoleLogger({ quiet });
+
+/** A logger that discards everything. */
+export const silentLogger = {
+  info: noop,
+  warn: noop,
+  error: noop,
+  event: noop,
+};
+
+const consoleLogger = createConsoleLogger();
+
+/**
+ * Fills in what a custom logger leaves out, so callers can use every method.
+ * Events go to the logger's `event` method if it has one, and otherwise to `info` or `error` as text.
+ *
+ * @param {Logger} [logger] - The logger given in the options, the console by default.
+ * @returns {Required<Logger>} The logger.
+ */
+export const resolveLogger = (logger = consoleLogger) => ({
+  info: (message) => logger.info?.(message),
+  warn: (message) => logger.warn?.(message),
+  error: (message, cause) => logger.error?.(message, cause),
+  event: (type, data, message = describeEvent(type, data)) => {
+    if (logger.event) return logger.event(type, data, message);
+    if (message === null) return;
+    if (type === LOG_EVENTS.MIGRATION_ERROR) logger.error?.(message);
+    else logger.info?.(message);
+  },
+});
+
+/**
+ * Runs one migration, reporting its start and its outcome with the time it took.
+ * @param {Required<Logger>} logger - The logger.
+ * @param {{migration: string, direction: string}} data - The migration and the direction it runs in.
+ * @param {function(): Promise<*>} action - Runs the migration.
+ * @returns {Promise<*>} A promise that resolves to the result of the action.
+ */
+export const trackMigration = async (logger, data, action) => {
+  const startedAt = Date.now();
+  logger.event(LOG_EVENTS.MIGRATION_START, data);
+  try {
+    const result = await action();
+    logger.event(LOG_EVENTS.MIGRATION_SUCCESS, {
+      ...data,
+      durationMs: Date.now() - startedAt,
+    });
+    return result;
+  } catch (error) {
+    logger.event(LOG_EVENTS.MIGRATION_ERROR, {
+      ...data,
+      durationMs: Date.now() - startedAt,
+      error,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Runs a whole migration run, reporting `run:complete` once it has succeeded or failed.
+ * @param {Required<Logger>} logger - The logger.
+ * @param {string} direction - Either "up" or "down".
+ * @param {function(): Promise<string[]>} action - Runs the migrations and resolves to the ones that ran.
+ * @returns {Promise<string[]>} A promise that resolves to the migrations that ran.
+ */
+export const trackRun = async (logger, direction, action) => {
+  const startedAt = Date.now();
+  try {
+    const migrations = await action();
+    logger.event(LOG_EVENTS.RUN_COMPLETE, {
+      direction,
+      status: "succeeded",
+      migrations,
+      durationMs: Date.now() - startedAt,
+    });
+    return migrations;
+  } catch (error) {
+    logger.event(LOG_EVENTS.RUN_COMPLETE, {
+      direction,
+      status: "failed",
+      durationMs: Date.now() - startedAt,
+      error,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,145 @@
+import assert from "assert";
+import {
+  createJsonLogger,
+  createConsoleLogger,
+  resolveLogger,
+  trackMigration,
+  trackRun,
+  LOG_EVENTS,
+} from "./migrate.logger.js";
+
+/**
+ * Records the calls made to a logger.
+ * @returns {{logger: Object, calls: Array[]}} The logger and its calls.
+ */
+const recordingLogger = () => {
+  const calls = [];
+  const record =
+    (method) =>
+    (...args) =>
+      calls.push([method, ...args]);
+  return {
+    calls,
+    logger: {
+      info: record("info"),
+      warn: record("warn"),
+      error: record("error"),
+      event: record("event"),
+    },
+  };
+};
+
+describe("createJsonLogger", () => {
+  it("should write every message and event as one line of JSON", () => {
+    const lines = [];
+    const logger = createJsonLogger({ write: (line) => lines.push(line) });
+    logger.info("Applying 1_a.apply.sql...");
+    logger.event(LOG_EVENTS.MIGRATION_ERROR, {
+      migration: "1_a.apply.sql",
+      direction: "up",
+      durationMs: 12,
+      error: Object.assign(new Error("syntax error"), { code: "42601" }),
+    });
+
+    const [log, event] = lines.map((line) => JSON.parse(line));
+    assert.strictEqual(log.event, "log");
+    assert.strictEqual(log.level, "info");
+    assert.strictEqual(log.message, "Applying 1_a.apply.sql...");
+    assert.strictEqual(event.event, "migration:error");
+    assert.strictEqual(event.durationMs, 12);
+    assert.deepStrictEqual(event.error, {
+      message: "syntax error",
+      code: "42601",
+    });
+    assert.ok(!Number.isNaN(Date.parse(event.time)));
+  });
+});
+
+describe("createConsoleLogger", () => {
+  let printed;
+  const { log } = console;
+
+  beforeEach(() => {
+    printed = [];
+    console.log = (message) => printed.push(message);
+  });
+
+  afterEach(() => {
+    console.log = log;
+  });
+
+  it("should leave out progress but keep the output of a command when quiet", () => {
+    const logger = createConsoleLogger({ quiet: true });
+    logger.info("No new migrations to execute.");
+    logger.event(LOG_EVENTS.MIGRATION_START, {
+      migration: "1_a.apply.sql",
+      direction: "up",
+    });
+    logger.event("status", { migrations: [] }, "No migrations found.");
+    assert.deepStrictEqual(printed, ["No migrations found."]);
+  });
+});
+
+describe("resolveLogger", () => {
+  it("should pass events to a logger without an event method as text", () => {
+    const { logger, calls } = recordingLogger();
+    delete logger.event;
+    const resolved = resolveLogger(logger);
+    resolved.event(LOG_EVENTS.MIGRATION_SUCCESS, {
+      migration: "1_a.revert.sql",
+      direction: "down",
+      durationMs: 3,
+    });
+    resolved.event(LOG_EVENTS.MIGRATION_ERROR, {
+      migration: "2_b.revert.sql",
+      direction: "down",
+      durationMs: 5,
+    });
+    assert.deepStrictEqual(calls, [
+      ["info", "1_a.revert.sql reverted successfully (3 ms)."],
+      ["error", "2_b.revert.sql failed after 5 ms."],
+    ]);
+  });
+
+  it("should accept a logger with only some of the methods", () => {
+    const resolved = resolveLogger({});
+    resolved.info("ignored");
+    resolved.event(LOG_EVENTS.RUN_COMPLETE, {
+      direction: "up",
+      status: "succeeded",
+      migrations: ["1_a.apply.sql"],
+      durationMs: 1,
+    });
+  });
+});
+
+describe("trackMigration and trackRun", () => {
+  it("should report a failed migration and run with their durations", async () => {
+    const { logger, calls } = recordingLogger();
+    const error = new Error('relation "users" already exists');
+
+    await assert.rejects(
+      trackRun(logger, "up", () =>
+        trackMigration(
+          logger,
+          { migration: "1_a.apply.sql", direction: "up" },
+          async () => {
+            throw error;
+          }
+        )
+      ),
+      error
+    );
+
+    assert.deepStrictEqual(
+      calls.map(([, type]) => type),
+      ["migration:start", "migration:error", "run:complete"]
+    );
+    const [, , migrationError] = calls[1];
+    assert.strictEqual(migrationError.error, error);
+    assert.strictEqual(typeof migrationError.durationMs, "number");
+    const [, , runComplete] = calls[2];
+    assert.strictEqual(runComplete.status, "failed");
+    assert.strictEqual(typeof runComplete.durationMs, "number");
+  });
+});
@@ -0,0 +1,222 @@
+import { connectClient } from "./migrate.utils.js";
+import { resolveConfig } from "./migrate.config.js";
+import { setupMigrationsTable } from "./migrate.setup.js";
+import { migrateUp } from "./migrate.up.js";
+import { migrateDown } from "./migrate.down.js";
+import { handleRedo } from "./migrate.redo.js";
+import { handleReset } from "./migrate.reset.js";
+import { getMigrationStatus } from "./migrate.status.js";
+import { getMigrationHistory } from "./migrate.history.js";
+import { checkMigrationChecksums } from "./migrate.verify.js";
+import { repairChecksums } from "./migrate.repair.js";
+import { generateMigration } from "./migrate.generate.js";
+import { handleGenerateRevert } from "./migrate.invert.js";
+import { validateMigrations } from "./migrate.validate.js";
+import { dumpSchema } from "./migrate.dump.js";
+import { loadSchema } from "./migrate.load.js";
+import { silentLogger } from "./migrate.logger.js";
+
+/**
+ * @typedef {import("pg").Client} Client
+ * @typedef {import("pg").Pool} Pool
+ */
+
+/**
+ * @typedef {Object} MigratorOptions
+ * @property {Client} [client] - A connected client. It is used as-is and never closed by the migrator.
+ * @property {Pool} [pool] - A pool to check a client out of for each operation.
+ * @property {string} [connectionString] - A connection string to open a fresh client with for each operation.
+ * @property {string} [env] - The environment to read the configuration for, `NODE_ENV` or "development" by default.
+ * @property {string} [migrationsDir] - The directory holding the migrations.
+ * @property {string} [tableSchema] - The schema of the migrations table.
+ * @property {string} [tableName] - The name of the migrations table.
+ * @property {string} [templatesDir] - The directory holding user templates for `generate`.
+ * @property {string} [schemaFile="schema.sql"] - The schema snapshot `dumpSchema` writes.
+ * @property {boolean} [dumpSchema=false] - Write the schema snapshot after every `up` and `down`.
+ * @property {string} [outOfOrder="allow"] - What `up` does with pending migrations older than the newest applied one: "strict", "allow" or "ignore".
+ * @property {boolean} [lock=true] - Set to false to run setup, up and down without the advisory lock.
+ * @property {number} [lockTimeout=DEFAULT_LOCK_TIMEOUT] - How long to wait for another run to release the lock, in milliseconds.
+ * @property {import("./migrate.logger.js").Logger} [logger=silentLogger] - Receives the progress and the events of every run.
+ *   Nothing is printed by default; pass `createConsoleLogger()` to print like the command line does.
+ */
+
+/**
+ * Returns a function that runs an action with a client obtained from the migrator options.
+ * Falls back to the resolved configuration when no client or pool is given.
+ *
+ * @param {MigratorOptions} options - The migrator options.
+ * @param {function(): Promise<import("./migrate.config.js").ResolvedConfig>} config - Resolves the configuration.
+ * @returns {function(function(Client): Promise<*>): Promise<*>} The connection wrapper.
+ */
+const connectionHandler =
+  ({ client, pool }, config) =>
+  async (action) => {
+    if (client) return action(client);
+
+    if (pool) {
+      const pooledClient = await pool.connect();
+      try {
+        return await action(pooledClient);
+      } finally {
+        pooledClient.release();
+      }
+    }
+
+    const ownClient = await connectClient((await config()).connection);
+    try {
+      return await action(ownClient);
+    } finally {
+      await ownClient.end();
+    }
+  };
+
+/**
+ * Creates a migrator for programmatic use. Every method resolves to a plain result object
+ * instead of printing a report or exiting the process. Options that are not given are
+ * resolved like on the command line, see `resolveConfig`.
+ *
+ * @param {MigratorOptions} [options] - The migrator options.
+ * @returns {{
+ *   setup: function(): Promise<{created: boolean, upgraded: string[]}>,
+ *   up: function({to?: string, verify?: boolean, validate?: boolean, dryRun?: boolean, singleTransaction?: boolean}=): Promise<{applied: string[], batch?: number, plan?: Object[]}>,
+ *   down: function({from?: string, to?: string, steps?: number, all?: boolean, batch?: number|boolean, validate?: boolean, force?: boolean, dryRun?: boolean}=): Promise<{reverted: string[], plan?: Object[]}>,
+ *   redo: function({steps?: number, force?: boolean}=): Promise<{reverted: string[], applied: string[]}>,
+ *   reset: function({force?: boolean}=): Promise<{reverted: string[], applied: string[]}>,
+ *   status: function(): Promise<{migrations: import("./migrate.status.js").MigrationStatus[]}>,
+ *   history: function({since?: string, until?: string, batch?: number}=): Promise<{migrations: import("./migrate.history.js").HistoryEntry[]}>,
+ *   verify: function(): Promise<import("./migrate.verify.js").ChecksumReport>,
+ *   repair: function(): Promise<{repaired: string[]}>,
+ *   dumpSchema: function(): Promise<{schemaFile: string}>,
+ *   loadSchema: function({force?: boolean}=): Promise<{marked: string[], batch: number}>,
+ *   validate: function(): Promise<{migrations: number, problems: import("./migrate.validate.js").MigrationProblem[]}>,
+ *   generate: function(string, {singleFile?: boolean, template?: string, table?: string, columns?: string[], draftRevert?: boolean}=): Promise<{applyFileName: string, revertFileName: string}|{migrationFileName: string}>
+ *   generateRevert: function(string, {force?: boolean}=): Promise<import("./migrate.invert.js").RevertDraft & {revertFileName: string}>
+ * }} The migrator.
+ */
+export const createMigrator = (options = {}) => {
+  let resolving;
+  const config = () => {
+    resolving =
+      resolving ||
+      resolveConfig({
+        databaseUrl: options.connectionString,
+        migrationsDir: options.migrationsDir,
+        env: options.env,
+        outOfOrder: options.outOfOrder,
+        templatesDir: options.templatesDir,
+        schemaFile: options.schemaFile,
+      });
+    return resolving;
+  };
+  const migrationOptions = async () => {
+    const {
+      env,
+      migrationsDir,
+      tableSchema,
+      tableName,
+      outOfOrder,
+      templatesDir,
+      schemaFile,
+      dumpSchema: dumpsSchema,
+    } = await config();
+    return {
+      env,
+      migrationsDir,
+      outOfOrder,
+      templatesDir,
+      schemaFile,
+      dumpSchema: options.dumpSchema ?? dumpsSchema,
+      tableSchema: options.tableSchema || tableSchema,
+      tableName: options.tableName || tableName,
+      lock: options.lock,
+      lockTimeout: options.lockTimeout,
+      logger: options.logger || silentLogger,
+    };
+  };
+  const withConnection = connectionHandler(options, config);
+  const run = (operation) =>
+    withConnection(async (client) =>
+      operation(client, await migrationOptions())
+    );
+
+  return {
+    setup: () => run(setupMigrationsTable),
+
+    up: ({ to, verify, validate, dryRun, singleTransaction } = {}) =>
+      run((client, runOptions) =>
+        migrateUp(client, {
+          ...runOptions,
+          to,
+          verify,
+          validate,
+          dryRun,
+          singleTransaction,
+        })
+      ),
+
+    down: ({ from, to, steps, all, batch, validate, force, dryRun } = {}) =>
+      run((client, runOptions) =>
+        migrateDown(client, {
+          ...runOptions,
+          from,
+          to,
+          steps,
+          all,
+          batch,
+          validate,
+          force,
+          dryRun,
+        })
+      ),
+
+    redo: ({ steps, force } = {}) =>
+      run((client, runOptions) =>
+        handleRedo(client, { ...runOptions, steps, force })
+      ),
+
+    reset: ({ force } = {}) =>
+      run((client, runOptions) =>
+        handleReset(client, { ...runOptions, force })
+      ),
+
+    status: () => run(getMigrationStatus),
+
+    history: ({ since, until, batch } = {}) =>
+      run((client, runOptions) =>
+        getMigrationHistory(client, { ...runOptions, since, until, batch })
+      ),
+
+    verify: () => run(checkMigrationChecksums),
+
+    repair: () => run(repairChecksums),
+
+    dumpSchema: () => run(dumpSchema),
+
+    loadSchema: ({ force } = {}) =>
+      run((client, runOptions) => loadSchema(client, { ...runOptions, force })),
+
+    validate: async () =>
+      validateMigrations((await migrationOptions()).migrationsDir),
+
+    generate: async (
+      migrationName,
+      { singleFile, template, table, columns, draftRevert } = {}
+    ) =>
+      generateMigration(migrationName, {
+        ...(await migrationOptions()),
+        singleFile,
+        template,
+        table,
+        columns,
+        draftRevert,
+      }),
+
+    generateRevert: async (migration, { force } = {}) =>
+      handleGenerateRevert(migration, {
+        ...(await migrationOptions()),
+        force,
+      }),
+  };
+};
+
+export default createMigrator;
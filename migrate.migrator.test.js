@@ -0,0 +1,138 @@
+import assert from "assert";
+import { withClient, MIGRATIONS_DIR } from "./migrate.utils.js";
+import { createMigrator } from "./migrate.migrator.js";
+import { doesMigrationsTableExist } from "./migrate.setup.js";
+import { getAppliedMigrations } from "./migrate.up.js";
+
+describe("createMigrator", () => {
+  it("should report whether setup created the migrations table", async () => {
+    await withClient(async (client) => {
+      const migrator = createMigrator({ client });
+      assert.deepStrictEqual(await migrator.setup(), {
+        created: true,
+        upgraded: [],
+      });
+      assert.deepStrictEqual(await migrator.setup(), {
+        created: false,
+        upgraded: [],
+      });
+    });
+  });
+
+  it("should use the configured table name", async () => {
+    await withClient(async (client) => {
+      const migrator = createMigrator({ client, tableName: "schema_history" });
+      await migrator.setup();
+      assert.strictEqual(
+        await doesMigrationsTableExist(client, { tableName: "schema_history" }),
+        true
+      );
+      assert.strictEqual(await doesMigrationsTableExist(client), false);
+    });
+  });
+
+  it("should keep the migrations table in the configured schema", async () => {
+    await withClient(async (client) => {
+      const tableOptions = {
+        tableSchema: "billing",
+        tableName: "Schema History",
+      };
+      try {
+        const migrator = createMigrator({
+          client,
+          migrationsDir: MIGRATIONS_DIR,
+          ...tableOptions,
+        });
+        await migrator.setup();
+        assert.strictEqual(
+          await doesMigrationsTableExist(client, tableOptions),
+          true
+        );
+        assert.strictEqual(await doesMigrationsTableExist(client), false);
+
+        await migrator.up({ to: "20230922034400001" });
+        assert.deepStrictEqual(
+          await getAppliedMigrations(client, tableOptions),
+          ["20230922034400001_create_users_table.apply.sql"]
+        );
+
+        await migrator.down();
+        assert.deepStrictEqual(
+          await getAppliedMigrations(client, tableOptions),
+          []
+        );
+      } finally {
+        await client.query("DROP SCHEMA IF EXISTS billing CASCADE");
+      }
+    });
+  });
+
+  it("should return the applied migrations from up", async () => {
+    await withClient(async (client) => {
+      const migrator = createMigrator({
+        client,
+        migrationsDir: MIGRATIONS_DIR,
+      });
+      await migrator.setup();
+      const result = await migrator.up({ to: "20230922034400002" });
+      assert.deepStrictEqual(result, {
+        applied: [
+          "20230922034400001_create_users_table.apply.sql",
+          "20230922034400002_create_posts_table.apply.sql",
+        ],
+        batch: 1,
+      });
+    });
+  });
+
+  it("should not print anything without a logger", async () => {
+    const methods = ["log", "info", "warn", "error"];
+    const originals = methods.map((method) => console[method]);
+    const printed = [];
+    methods.forEach((method) => {
+      console[method] = (...args) => printed.push(args);
+    });
+    try {
+      await withClient(async (client) => {
+        const migrator = createMigrator({ client });
+        await migrator.setup();
+        await migrator.up();
+        await migrator.down();
+      });
+    } finally {
+      methods.forEach((method, index) => {
+        console[method] = originals[index];
+      });
+    }
+    assert.deepStrictEqual(printed, []);
+  });
+
+  it("should return the reverted migrations from down", async () => {
+    await withClient(async (client) => {
+      const migrator = createMigrator({ client });
+      await migrator.setup();
+      await migrator.up();
+      const result = await migrator.down({ from: "20230922034400003" });
+      assert.deepStrictEqual(result, {
+        reverted: ["20230922034400003_create_comments_table.revert.sql"],
+      });
+    });
+  });
+
+  it("should list applied and pending migrations in status", async () => {
+    await withClient(async (client) => {
+      const migrator = createMigrator({ client });
+      await migrator.setup();
+      await migrator.up({ to: "20230922034400001" });
+      const { migrations } = await migrator.status();
+      assert.deepStrictEqual(
+        migrations.map(({ filename, state }) => [filename, state]),
+        [
+          ["20230922034400001_create_users_table.apply.sql", "applied"],
+          ["20230922034400002_create_posts_table.apply.sql", "pending"],
+          ["20230922034400003_create_comments_table.apply.sql", "pending"],
+        ]
+      );
+    });
+  });
+});
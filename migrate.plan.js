@@ -0,0 +1,104 @@
+import fs from "fs";
+import { hasDirective, NO_TRANSACTION_DIRECTIVE } from "./migrate.sql.js";
+import { isJavaScriptMigration } from "./migrate.loader.js";
+import { resolveLogger } from "./migrate.logger.js";
+
+/**
+ * @typedef {Object} PlannedMigration
+ * @property {string} filename - The filename of the migration that would run.
+ * @property {string} sql - The SQL of the migration, or the source of a JavaScript migration.
+ * @property {string} bookkeeping - The statement that would record the run in the migrations table.
+ */
+
+/**
+ * Checks whether a planned migration may run inside a transaction.
+ * @param {PlannedMigration} migration - The planned migration.
+ * @returns {boolean} False if it is marked `no-transaction`.
+ */
+const runsInTransaction = ({ sql }) =>
+  !hasDirective(sql, NO_TRANSACTION_DIRECTIVE);
+
+/**
+ * Formats a plan for reading in the terminal.
+ * @param {PlannedMigration[]} plan - The planned migrations, in the order they would run.
+ * @returns {string} The migrations with their SQL.
+ */
+export const formatPlan = (plan) =>
+  plan
+    .map(({ filename, sql }) => `-- ${filename}\n${sql.trimEnd()}`)
+    .join("\n\n");
+
+/**
+ * Formats a plan as a single script that applies every migration and its
+ * bookkeeping inside one transaction, for running by hand. Migrations marked
+ * `no-transaction` are placed between transactions instead.
+ *
+ * @param {PlannedMigration[]} plan - The planned migrations, in the order they would run.
+ * @param {string} direction - Either "up" or "down".
+ * @returns {string} The SQL script.
+ * @throws {Error} If the plan contains JavaScript migrations, which only run through sql-migrate.
+ */
+export const formatPlanScript = (plan, direction) => {
+  const javascript = plan.filter(({ filename }) =>
+    isJavaScriptMigration(filename)
+  );
+  if (javascript.length > 0) {
+    throw new Error(
+      `JavaScript migrations cannot be written to a SQL script: ${javascript
+        .map(({ filename }) => filename)
+        .join(", ")}.`
+    );
+  }
+
+  const blocks = [
+    `-- sql-migrate ${direction} plan, generated ${new Date().toISOString()}`,
+  ];
+  let inTransaction = false;
+
+  for (const migration of plan) {
+    const transactional = runsInTransaction(migration);
+    if (transactional && !inTransaction) blocks.push("BEGIN;");
+    if (!transactional && inTransaction) blocks.push("COMMIT;");
+    inTransaction = transactional;
+
+    const { filename, sql, bookkeeping } = migration;
+    blocks.push(
+      transactional
+        ? `-- ${filename}\n${sql.trimEnd()}\n${bookkeeping}`
+        : `-- ${filename} (runs outside a transaction)\n${sql.trimEnd()}\n${bookkeeping}`
+    );
+  }
+  if (inTransaction) blocks.push("COMMIT;");
+
+  return blocks.join("\n\n") + "\n";
+};
+
+/**
+ * Reports a dry run plan as a `plan` event and optionally writes it to a script file.
+ * @param {PlannedMigration[]} plan - The planned migrations, in the order they would run.
+ * @param {Object} options - Plan options.
+ * @param {string} options.direction - Either "up" or "down".
+ * @param {string} [options.output] - The path to write the SQL script to.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the plan, the console by default.
+ */
+export const reportPlan = (plan, { direction, output, logger }) => {
+  const action = direction === "up" ? "applied" : "reverted";
+  const lines =
+    plan.length === 0
+      ? [`Dry run: no migrations would be ${action}.`]
+      : [
+          `Dry run: ${plan.length} migrations would be ${action}.\n`,
+          formatPlan(plan),
+        ];
+
+  if (output) {
+    fs.writeFileSync(output, formatPlanScript(plan, direction));
+    lines.push(`Plan written to ${output}`);
+  }
+
+  resolveLogger(logger).event(
+    "plan",
+    { direction, migrations: plan, output },
+    lines.join("\n")
+  );
+};
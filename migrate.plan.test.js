@@ -0,0 +1,102 @@
+import assert from "assert";
+import { formatPlan, formatPlanScript } from "./migrate.plan.js";
+
+const plan = [
+  {
+    filename: "20230922034400001_create_users_table.apply.sql",
+    sql: "CREATE TABLE users (id SERIAL PRIMARY KEY);\n",
+    bookkeeping:
+      "INSERT INTO \"migrations\" (filename, checksum) VALUES ('20230922034400001_create_users_table.apply.sql', 'abc');",
+  },
+  {
+    filename: "20230922034400002_create_posts_table.apply.sql",
+    sql: "CREATE TABLE posts (id SERIAL PRIMARY KEY);\n",
+    bookkeeping:
+      "INSERT INTO \"migrations\" (filename, checksum) VALUES ('20230922034400002_create_posts_table.apply.sql', 'def');",
+  },
+];
+
+describe("formatPlan", () => {
+  it("should list every migration with its SQL in order", () => {
+    assert.strictEqual(
+      formatPlan(plan),
+      [
+        "-- 20230922034400001_create_users_table.apply.sql",
+        "CREATE TABLE users (id SERIAL PRIMARY KEY);",
+        "",
+        "-- 20230922034400002_create_posts_table.apply.sql",
+        "CREATE TABLE posts (id SERIAL PRIMARY KEY);",
+      ].join("\n")
+    );
+  });
+});
+
+describe("formatPlanScript", () => {
+  it("should wrap the migrations and their bookkeeping in a transaction", () => {
+    const lines = formatPlanScript(plan, "up").trimEnd().split("\n");
+    assert.match(lines[0], /^-- sql-migrate up plan/);
+    assert.strictEqual(lines[2], "BEGIN;");
+    assert.strictEqual(lines[lines.length - 1], "COMMIT;");
+    assert.strictEqual(
+      lines.indexOf(plan[0].bookkeeping) < lines.indexOf(plan[1].bookkeeping),
+      true
+    );
+    assert.strictEqual(
+      lines.indexOf("CREATE TABLE posts (id SERIAL PRIMARY KEY);") <
+        lines.indexOf(plan[1].bookkeeping),
+      true
+    );
+  });
+});
+
+describe("formatPlanScript with no-transaction migrations", () => {
+  it("should run them between transactions", () => {
+    const script = formatPlanScript(
+      [
+        plan[0],
+        {
+          filename: "20230922034400002_index_users.apply.sql",
+          sql: "-- sql-migrate: no-transaction\nCREATE INDEX CONCURRENTLY users_idx ON users (id);",
+          bookkeeping: "INSERT INTO migrations VALUES ('x');",
+        },
+        plan[1],
+      ],
+      "up"
+    );
+    const statements = script
+      .split("\n")
+      .filter(
+        (line) =>
+          ["BEGIN;", "COMMIT;"].includes(line) || line.startsWith("CREATE")
+      );
+    assert.deepStrictEqual(statements, [
+      "BEGIN;",
+      "CREATE TABLE users (id SERIAL PRIMARY KEY);",
+      "COMMIT;",
+      "CREATE INDEX CONCURRENTLY users_idx ON users (id);",
+      "BEGIN;",
+      "CREATE TABLE posts (id SERIAL PRIMARY KEY);",
+      "COMMIT;",
+    ]);
+  });
+});
+
+describe("formatPlanScript with JavaScript migrations", () => {
+  it("should refuse to write JavaScript migrations to a script", () => {
+    assert.throws(
+      () =>
+        formatPlanScript(
+          [
+            ...plan,
+            {
+              filename: "20230922034400003_seed_users.js",
+              sql: "export const up = async (client) => {};\n",
+              bookkeeping: "",
+            },
+          ],
+          "up"
+        ),
+      /JavaScript migrations cannot be written to a SQL script: 20230922034400003_seed_users.js/
+    );
+  });
+});
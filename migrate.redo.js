@@ -0,0 +1,43 @@
+import { handleDown } from "./migrate.down.js";
+import { handleUp } from "./migrate.up.js";
+import { withMigrationLock } from "./migrate.lock.js";
+import pg from "pg";
+
+/**
+ * Reverts the last applied migrations and applies them again, for iterating on a migration locally.
+ * Pending migrations older than the newest reverted one are applied along with them.
+ * The migration lock is held across both steps, so no other run can slip in between.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `migrateDown` and `migrateUp`.
+ * @param {number|string} [options.steps=1] - Redo this many migrations.
+ * @param {boolean} [options.force] - Redo irreversible migrations too, see `assertReversible`.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If reverting or applying a migration fails.
+ * @returns {Promise<{reverted: string[], applied: string[]}>} A promise that resolves to the reverted and re-applied migrations.
+ */
+export const handleRedo = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+
+  return withMigrationLock(
+    client,
+    async () => {
+      const { reverted } = await handleDown(client, undefined, {
+        ...options,
+        lock: false,
+        steps: options.steps == null ? 1 : options.steps,
+      });
+      if (reverted.length === 0) return { reverted, applied: [] };
+
+      const [newestTimestamp] = reverted[0].split("_");
+      const { applied } = await handleUp(client, newestTimestamp, {
+        ...options,
+        lock: false,
+      });
+      return { reverted, applied };
+    },
+    options
+  );
+};
+
+export default handleRedo;
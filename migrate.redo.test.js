@@ -0,0 +1,69 @@
+import assert from "assert";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp, getAppliedMigrations } from "./migrate.up.js";
+import { handleRedo } from "./migrate.redo.js";
+
+describe("handleRedo", () => {
+  it("should revert and re-apply the last migration by default", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+
+      const result = await handleRedo(client);
+
+      assert.deepStrictEqual(result, {
+        reverted: ["20230922034400003_create_comments_table.revert.sql"],
+        applied: ["20230922034400003_create_comments_table.apply.sql"],
+      });
+      assert.strictEqual((await getAppliedMigrations(client)).length, 3);
+    });
+  });
+
+  it("should redo the given number of steps without applying newer pending migrations", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400002");
+
+      const result = await handleRedo(client, { steps: 2 });
+
+      assert.deepStrictEqual(result.applied, [
+        "20230922034400001_create_users_table.apply.sql",
+        "20230922034400002_create_posts_table.apply.sql",
+      ]);
+      assert.deepStrictEqual(
+        await getAppliedMigrations(client),
+        result.applied
+      );
+    });
+  });
+
+  it("should hold the migration lock once across both steps", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+
+      const queries = [];
+      const trackedClient = {
+        query: (text, ...args) => {
+          queries.push(text);
+          return client.query(text, ...args);
+        },
+      };
+      await handleRedo(trackedClient);
+
+      const locks = queries.filter((text) => /pg_try_advisory_lock/.test(text));
+      assert.strictEqual(locks.length, 1);
+    });
+  });
+
+  it("should do nothing when no migration is applied", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      assert.deepStrictEqual(await handleRedo(client), {
+        reverted: [],
+        applied: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  executeSQL,
+  executeInTransaction,
+  computeChecksum,
+  qualifyIdentifier,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import { checkMigrationChecksums } from "./migrate.verify.js";
+import { upgradeMigrationsTable } from "./migrate.setup.js";
+import { readMigrationSource } from "./migrate.loader.js";
+import { resolveLogger } from "./migrate.logger.js";
+import pg from "pg";
+
+/**
+ * Records the current checksum of every applied migration whose file has changed
+ * or which has no checksum yet. This deliberately accepts edits made to applied migrations.
+ * A migrations table created by an older version is upgraded first, see `upgradeMigrationsTable`.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the client is not provided.
+ * @returns {Promise<{repaired: string[]}>} A promise that resolves to the migrations whose checksum was updated.
+ */
+export const repairChecksums = async (client, options = {}) => {
+  const {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+    migrationsDir,
+  } = options;
+  await upgradeMigrationsTable(client, options);
+  const report = await checkMigrationChecksums(client, options);
+  const repaired = [
+    ...report.mismatched.map(({ filename }) => filename),
+    ...report.unrecorded,
+  ].sort((a, b) => a.localeCompare(b));
+
+  await executeInTransaction(client, async () => {
+    for (const filename of repaired) {
+      const content = await readMigrationSource(filename, "up", migrationsDir);
+      await executeSQL(
+        client,
+        `UPDATE ${qualifyIdentifier(
+          tableSchema,
+          tableName
+        )} SET checksum = $1 WHERE filename = $2`,
+        [computeChecksum(content), filename]
+      );
+    }
+  });
+  return { repaired };
+};
+
+/**
+ * Re-baselines the checksums of applied migrations.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `repairChecksums`.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome, the console by default.
+ * @throws {Error} If there is a failure while updating the checksums.
+ * @returns {Promise<{repaired: string[]}>} A promise that resolves to the migrations whose checksum was updated.
+ */
+export const handleRepair = async (client, options = {}) => {
+  const logger = resolveLogger(options.logger);
+  try {
+    const result = await repairChecksums(client, options);
+    if (result.repaired.length === 0) {
+      logger.info("All checksums are up to date. Nothing to repair.");
+    }
+    result.repaired.forEach((filename) =>
+      logger.info(`Checksum updated for ${filename}.`)
+    );
+    return result;
+  } catch (error) {
+    logger.error("Failed to repair checksums:", error);
+    throw error;
+  }
+};
+
+export default handleRepair;
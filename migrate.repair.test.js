@@ -0,0 +1,60 @@
+import assert from "assert";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp } from "./migrate.up.js";
+import { checkMigrationChecksums } from "./migrate.verify.js";
+import { repairChecksums } from "./migrate.repair.js";
+
+describe("repairChecksums", () => {
+  it("should re-baseline mismatched and missing checksums", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400002");
+      await client.query(
+        "UPDATE migrations SET checksum = 'outdated' WHERE filename LIKE '%001_%'"
+      );
+      await client.query(
+        "UPDATE migrations SET checksum = NULL WHERE filename LIKE '%002_%'"
+      );
+
+      const result = await repairChecksums(client);
+
+      assert.deepStrictEqual(result.repaired, [
+        "20230922034400001_create_users_table.apply.sql",
+        "20230922034400002_create_posts_table.apply.sql",
+      ]);
+      const report = await checkMigrationChecksums(client);
+      assert.strictEqual(report.verified.length, 2);
+    });
+  });
+
+  it("should record checksums in a migrations table from an older version", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE migrations (
+          id SERIAL PRIMARY KEY,
+          filename VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+        INSERT INTO migrations (filename) VALUES ('20230922034400001_create_users_table.apply.sql');
+      `);
+
+      const result = await repairChecksums(client);
+
+      assert.deepStrictEqual(result.repaired, [
+        "20230922034400001_create_users_table.apply.sql",
+      ]);
+      const report = await checkMigrationChecksums(client);
+      assert.strictEqual(report.verified.length, 1);
+    });
+  });
+
+  it("should leave matching checksums alone", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+      const result = await repairChecksums(client);
+      assert.deepStrictEqual(result.repaired, []);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { ENV } from "./migrate.utils.js";
+import { handleDown } from "./migrate.down.js";
+import { handleUp } from "./migrate.up.js";
+import { withMigrationLock } from "./migrate.lock.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import pg from "pg";
+
+export const PRODUCTION_ENV = "production";
+
+/**
+ * Checks that a reset may run in an environment.
+ * @param {Object} options - Reset options.
+ * @param {string} [options.env=ENV] - The environment the database belongs to.
+ * @param {boolean} [options.force] - Reset even in production.
+ * @throws {Error} If the environment is production and `force` is not set.
+ */
+export const assertResetAllowed = ({ env = ENV, force }) => {
+  if (env === PRODUCTION_ENV && !force) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      "Refusing to reset a production database, which reverts every migration. Pass --force to reset it anyway."
+    );
+  }
+};
+
+/**
+ * Reverts every applied migration and applies every migration again.
+ * Refuses to run against production unless forced. The migration lock is held across both steps.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `migrateDown` and `migrateUp`.
+ * @param {string} [options.env=ENV] - The environment the database belongs to.
+ * @param {boolean} [options.force] - Reset even in production, and revert irreversible migrations, see `assertReversible`.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If the environment is production and `force` is not set.
+ * @throws {Error} If reverting or applying a migration fails.
+ * @returns {Promise<{reverted: string[], applied: string[]}>} A promise that resolves to the reverted and applied migrations.
+ */
+export const handleReset = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+
+  assertResetAllowed(options);
+
+  return withMigrationLock(
+    client,
+    async () => {
+      const { reverted } = await handleDown(client, undefined, {
+        ...options,
+        lock: false,
+        all: true,
+      });
+      const { applied } = await handleUp(client, undefined, {
+        ...options,
+        lock: false,
+      });
+      return { reverted, applied };
+    },
+    options
+  );
+};
+
+export default handleReset;
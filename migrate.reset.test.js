@@ -0,0 +1,47 @@
+import assert from "assert";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp, getAppliedMigrations } from "./migrate.up.js";
+import { handleReset } from "./migrate.reset.js";
+
+describe("handleReset", () => {
+  it("should revert every migration and apply them all again", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400002");
+
+      const result = await handleReset(client, { env: "test" });
+
+      assert.strictEqual(result.reverted.length, 2);
+      assert.strictEqual(result.applied.length, 3);
+      assert.strictEqual((await getAppliedMigrations(client)).length, 3);
+    });
+  });
+
+  it("should hold the migration lock once across both steps", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client);
+
+      const queries = [];
+      const trackedClient = {
+        query: (text, ...args) => {
+          queries.push(text);
+          return client.query(text, ...args);
+        },
+      };
+      await handleReset(trackedClient, { env: "test" });
+
+      const locks = queries.filter((text) => /pg_try_advisory_lock/.test(text));
+      assert.strictEqual(locks.length, 1);
+    });
+  });
+
+  it("should refuse to reset production without force", async () => {
+    const client = { query: () => assert.fail("should not query") };
+    await assert.rejects(
+      handleReset(client, { env: "production" }),
+      /Refusing to reset a production database/
+    );
+  });
+});
@@ -0,0 +1,187 @@
+import { quoteIdentifier } from "./migrate.utils.js";
+import pg from "pg";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { resolveLogger } from "./migrate.logger.js";
+
+export const SCHEMA_RUN_STATES = {
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+/**
+ * @typedef {Object} SchemaRunResult
+ * @property {string} schema - The schema the run targeted.
+ * @property {string} state - One of `SCHEMA_RUN_STATES`.
+ * @property {*} [result] - What the run resolved to, if it succeeded.
+ * @property {Error} [error] - Why the run failed.
+ */
+
+/**
+ * Finds the schemas whose name matches a `LIKE` pattern such as `tenant_%`.
+ * System schemas are never included.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {string} pattern - The `LIKE` pattern to match schema names against.
+ * @returns {Promise<string[]>} A promise that resolves to the matching schema names, sorted.
+ */
+export const findSchemas = async (client, pattern) => {
+  const { rows } = await client.query(
+    `
+    SELECT nspname AS schema
+    FROM pg_namespace
+    WHERE nspname LIKE $1
+    AND nspname NOT LIKE 'pg\\_%'
+    AND nspname <> 'information_schema'
+    ORDER BY nspname
+  `,
+    [pattern]
+  );
+  return rows.map((row) => row.schema);
+};
+
+/**
+ * Runs an action with the search path pointing at a schema, so unqualified names in
+ * migrations resolve to it. `public` stays on the path for shared extensions.
+ * The previous search path is restored afterwards.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {string} schema - The schema to put first on the search path.
+ * @param {function(): Promise<*>} action - The action to run.
+ * @returns {Promise<*>} A promise that resolves to the result of the action.
+ */
+export const withSearchPath = async (client, schema, action) => {
+  const { rows } = await client.query(
+    "SELECT current_setting('search_path') AS search_path"
+  );
+  await client.query("SELECT set_config('search_path', $1, false)", [
+    `${quoteIdentifier(schema)}, public`,
+  ]);
+  try {
+    return await action();
+  } finally {
+    await client.query("SELECT set_config('search_path', $1, false)", [
+      rows[0].search_path,
+    ]);
+  }
+};
+
+/**
+ * Runs an action once per schema, with the search path and the migrations table
+ * pointing at that schema. A failure in one schema does not stop the others unless
+ * `failFast` is set, in which case the remaining schemas are skipped.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {string[]} schemas - The schemas to run in, in order.
+ * @param {function({tableSchema: string}): Promise<*>} action - Runs the command with the options for one schema.
+ * @param {Object} [options] - Run options.
+ * @param {boolean} [options.failFast] - Stop at the first failing schema.
+ * @returns {Promise<SchemaRunResult[]>} A promise that resolves to the outcome in every schema.
+ */
+export const runInSchemas = async (
+  client,
+  schemas,
+  action,
+  { failFast } = {}
+) => {
+  const results = [];
+  for (const schema of schemas) {
+    if (
+      failFast &&
+      results.some(({ state }) => state === SCHEMA_RUN_STATES.FAILED)
+    ) {
+      results.push({ schema, state: SCHEMA_RUN_STATES.SKIPPED });
+      continue;
+    }
+    try {
+      const result = await withSearchPath(client, schema, () =>
+        action({ tableSchema: schema })
+      );
+      results.push({ schema, state: SCHEMA_RUN_STATES.SUCCEEDED, result });
+    } catch (error) {
+      results.push({ schema, state: SCHEMA_RUN_STATES.FAILED, error });
+    }
+  }
+  return results;
+};
+
+/**
+ * Formats the outcome of a run across schemas as a plain text report.
+ * @param {SchemaRunResult[]} results - The outcome in every schema.
+ * @returns {string} The report.
+ */
+export const formatSchemaReport = (results) => {
+  const width = Math.max(...results.map(({ schema }) => schema.length));
+  const lines = results.map(({ schema, state, error }) =>
+    `${schema.padEnd(width)}  ${state}${
+      error ? `: ${error.message}` : ""
+    }`.trimEnd()
+  );
+  const succeeded = results.filter(
+    ({ state }) => state === SCHEMA_RUN_STATES.SUCCEEDED
+  ).length;
+  return [
+    ...lines,
+    "",
+    `${succeeded} of ${results.length} schemas succeeded.`,
+  ].join("\n");
+};
+
+/**
+ * Runs a command in one or more schemas and prints an aggregated report.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {function({tableSchema: string}): Promise<*>} action - Runs the command with the options for one schema.
+ * @param {Object} options - Schema options.
+ * @param {string[]} [options.schemas] - The schemas to run in.
+ * @param {string} [options.pattern] - A `LIKE` pattern selecting the schemas to run in instead.
+ * @param {boolean} [options.failFast] - Stop at the first failing schema.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the progress and the report as a `schemas` event, the console by default.
+ * @throws {Error} If both or neither of `schemas` and `pattern` are given.
+ * @throws {Error} If the command failed in any schema.
+ * @returns {Promise<SchemaRunResult[]>} A promise that resolves to the outcome in every schema.
+ */
+export const handleSchemas = async (
+  client,
+  action,
+  { schemas, pattern, failFast, logger: customLogger } = {}
+) => {
+  const logger = resolveLogger(customLogger);
+  if (Boolean(schemas && schemas.length) === Boolean(pattern)) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      "Exactly one of 'schema' or 'all-schemas' must be given."
+    );
+  }
+
+  const targets = pattern ? await findSchemas(client, pattern) : schemas;
+  if (targets.length === 0) {
+    logger.info(`No schemas match '${pattern}'.`);
+    return [];
+  }
+
+  const results = await runInSchemas(
+    client,
+    targets,
+    (options) => {
+      logger.info(`\nSchema ${options.tableSchema}:`);
+      return action(options);
+    },
+    { failFast }
+  );
+  logger.event("schemas", { results }, `\n${formatSchemaReport(results)}`);
+
+  const failed = results.filter(
+    ({ state }) => state === SCHEMA_RUN_STATES.FAILED
+  );
+  if (failed.length > 0) {
+    throw new Error(
+      `Failed in ${failed.length} of ${targets.length} schemas: ${failed
+        .map(({ schema }) => schema)
+        .join(", ")}.`
+    );
+  }
+  return results;
+};
+
+export default handleSchemas;
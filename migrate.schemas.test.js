@@ -0,0 +1,157 @@
+import assert from "assert";
+import { withClient, MIGRATIONS_DIR } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp, getAppliedMigrations } from "./migrate.up.js";
+import {
+  findSchemas,
+  withSearchPath,
+  runInSchemas,
+  formatSchemaReport,
+  handleSchemas,
+} from "./migrate.schemas.js";
+
+const TENANTS = ["tenant_a", "tenant_b", "tenant_c"];
+
+const withTenants = (testFn) =>
+  withClient(async (client) => {
+    for (const tenant of TENANTS) {
+      await client.query(`CREATE SCHEMA ${tenant}`);
+    }
+    try {
+      await testFn(client);
+    } finally {
+      for (const tenant of TENANTS) {
+        await client.query(`DROP SCHEMA IF EXISTS ${tenant} CASCADE`);
+      }
+    }
+  });
+
+describe("formatSchemaReport", () => {
+  it("should list the outcome in every schema", () => {
+    assert.strictEqual(
+      formatSchemaReport([
+        { schema: "tenant_a", state: "succeeded" },
+        {
+          schema: "tenant_bb",
+          state: "failed",
+          error: new Error('relation "users" already exists'),
+        },
+        { schema: "tenant_c", state: "skipped" },
+      ]),
+      [
+        "tenant_a   succeeded",
+        'tenant_bb  failed: relation "users" already exists',
+        "tenant_c   skipped",
+        "",
+        "1 of 3 schemas succeeded.",
+      ].join("\n")
+    );
+  });
+});
+
+describe("findSchemas", () => {
+  it("should return the schemas matching the pattern", async () => {
+    await withTenants(async (client) => {
+      assert.deepStrictEqual(await findSchemas(client, "tenant_%"), TENANTS);
+      assert.deepStrictEqual(await findSchemas(client, "pg_%"), []);
+    });
+  });
+});
+
+describe("withSearchPath", () => {
+  it("should restore the search path afterwards", async () => {
+    await withTenants(async (client) => {
+      const searchPath = async () =>
+        (await client.query("SHOW search_path")).rows[0].search_path;
+      const before = await searchPath();
+
+      const during = await withSearchPath(client, "tenant_a", searchPath);
+      assert.strictEqual(during, '"tenant_a", public');
+      assert.strictEqual(await searchPath(), before);
+    });
+  });
+});
+
+describe("runInSchemas", () => {
+  const migrate = (client) => async (options) => {
+    await handleSetup(client, options);
+    return handleUp(client, undefined, {
+      ...options,
+      migrationsDir: MIGRATIONS_DIR,
+    });
+  };
+
+  it("should track migrations separately in every schema", async () => {
+    await withTenants(async (client) => {
+      const results = await runInSchemas(client, TENANTS, migrate(client));
+      assert.deepStrictEqual(
+        results.map(({ state }) => state),
+        ["succeeded", "succeeded", "succeeded"]
+      );
+
+      for (const tenant of TENANTS) {
+        const applied = await getAppliedMigrations(client, {
+          tableSchema: tenant,
+        });
+        assert.ok(applied.length > 0);
+        const { rows } = await client.query(
+          "SELECT 1 FROM information_schema.tables WHERE table_schema = $1 AND table_name = 'users'",
+          [tenant]
+        );
+        assert.strictEqual(rows.length, 1);
+      }
+    });
+  });
+
+  it("should carry on after a failing schema", async () => {
+    await withTenants(async (client) => {
+      await client.query("CREATE TABLE tenant_b.users (id INTEGER)");
+
+      const results = await runInSchemas(client, TENANTS, migrate(client));
+      assert.deepStrictEqual(
+        results.map(({ state }) => state),
+        ["succeeded", "failed", "succeeded"]
+      );
+    });
+  });
+
+  it("should skip the remaining schemas with failFast", async () => {
+    await withTenants(async (client) => {
+      await client.query("CREATE TABLE tenant_b.users (id INTEGER)");
+
+      const results = await runInSchemas(client, TENANTS, migrate(client), {
+        failFast: true,
+      });
+      assert.deepStrictEqual(
+        results.map(({ state }) => state),
+        ["succeeded", "failed", "skipped"]
+      );
+    });
+  });
+});
+
+describe("handleSchemas", () => {
+  it("should fail if any schema failed", async () => {
+    await withTenants(async (client) => {
+      await assert.rejects(
+        handleSchemas(
+          client,
+          async ({ tableSchema }) => {
+            if (tableSchema === "tenant_c") throw new Error("Boom");
+          },
+          { pattern: "tenant_%" }
+        ),
+        /Failed in 1 of 3 schemas: tenant_c\./
+      );
+    });
+  });
+
+  it("should require either schemas or a pattern", async () => {
+    await withClient(async (client) => {
+      await assert.rejects(
+        handleSchemas(client, async () => {}, {}),
+        /Exactly one of 'schema' or 'all-schemas' must be given/
+      );
+    });
+  });
+});
@@ -1,58 +1,227 @@
-import { executeSQL } from "./migrate.utils.js";
+import {
+  executeSQL,
+  quoteIdentifier,
+  qualifyIdentifier,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import { withMigrationLock } from "./migrate.lock.js";
+import { resolveLogger } from "./migrate.logger.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
 
 /**
  * @typedef {import("pg").Client} Client
  */
 
+/**
+ * The columns added after the migrations table was first released, with their types.
+ * `upgradeMigrationsTable` adds the ones an existing table lacks.
+ */
+export const METADATA_COLUMNS = [
+  ["checksum", "VARCHAR(64)"],
+  ["duration_ms", "INTEGER"],
+  ["batch", "INTEGER"],
+  ["applied_by", "VARCHAR(255)"],
+  ["hostname", "VARCHAR(255)"],
+  ["tool_version", "VARCHAR(64)"],
+];
+
 /**
  * Checks if the migrations table exists in the database.
  *
  * @param {Client} client - The database client.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
  * @returns {Promise<boolean>} - A promise that resolves to true if the migrations table exists, false otherwise.
  */
-export const doesMigrationsTableExist = async (client) => {
-  const result = await client.query(`
+export const doesMigrationsTableExist = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  const result = await client.query(
+    `
     SELECT EXISTS (
       SELECT FROM information_schema.tables 
-      WHERE table_schema = 'public'
-      AND table_name = 'migrations'
+      WHERE table_schema = $1
+      AND table_name = $2
     );
-  `);
+  `,
+    [tableSchema, tableName]
+  );
   return result.rows[0].exists;
 };
 
 /**
- * Creates the migrations table in the database.
+ * Creates the migrations table in the database, along with its schema if that doesn't exist yet.
  *
  * @param {Client} client - The database client.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
  * @returns {Promise<pg.QueryResult>} - A promise that resolves when the table is created.
  */
-const createMigrationsTable = async (client) => {
+const createMigrationsTable = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
   return executeSQL(
     client,
     `
-    CREATE TABLE migrations (
+    CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(tableSchema)};
+    CREATE TABLE ${qualifyIdentifier(tableSchema, tableName)} (
       id SERIAL PRIMARY KEY,
       filename VARCHAR(255) NOT NULL,
-      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      ${METADATA_COLUMNS.map(([name, type]) => `${name} ${type}`).join(
+        ",\n      "
+      )}
     );
+    ALTER TABLE ${qualifyIdentifier(tableSchema, tableName)}
+      ALTER COLUMN applied_by SET DEFAULT CURRENT_USER;
+    `
+  );
+};
+
+/**
+ * Finds the columns of `METADATA_COLUMNS` an existing migrations table lacks.
+ *
+ * @param {Client} client - The database client.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<Array<[string, string]>>} - A promise that resolves to the missing columns and their types, none if there is no table.
+ */
+const findMissingColumns = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  const { rows } = await client.query(
+    `SELECT column_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2`,
+    [tableSchema, tableName]
+  );
+  const existing = new Set(rows.map((row) => row.column_name));
+  // No columns at all means there is no table to upgrade yet.
+  if (existing.size === 0) return [];
+  return METADATA_COLUMNS.filter(([name]) => !existing.has(name));
+};
+
+/**
+ * Checks that the migrations table has every column of `METADATA_COLUMNS`, for commands
+ * that only read it and so don't upgrade it themselves.
+ *
+ * @param {Client} client - The database client.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the table was created by an older version and lacks columns.
+ * @returns {Promise<void>} - A promise that resolves when the table is up to date.
+ */
+export const assertMigrationsTableUpToDate = async (client, options = {}) => {
+  const missing = await findMissingColumns(client, options);
+  if (missing.length === 0) return;
+  throw createError(
+    ERROR_CODES.CONFIG,
+    `The migrations table ${qualifyIdentifier(
+      options.tableSchema || DEFAULT_MIGRATIONS_SCHEMA,
+      options.tableName || DEFAULT_MIGRATIONS_TABLE
+    )} was created by an older version and lacks the columns ${missing
+      .map(([name]) => name)
+      .join(", ")}. Run setup to upgrade it.`
+  );
+};
+
+/**
+ * Adds the columns introduced after the migrations table was first released,
+ * so installs set up by older versions keep working. Rows recorded before the
+ * upgrade keep empty metadata. The table is only altered when a column is missing.
+ *
+ * @param {Client} client - The database client.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<string[]>} - A promise that resolves to the names of the columns that were added.
+ */
+export const upgradeMigrationsTable = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  const missing = await findMissingColumns(client, { tableSchema, tableName });
+  if (missing.length === 0) return [];
+
+  await executeSQL(
+    client,
+    `
+    ALTER TABLE ${qualifyIdentifier(tableSchema, tableName)}
+      ${missing
+        .map(([name, type]) => `ADD COLUMN IF NOT EXISTS ${name} ${type}`)
+        .join(",\n      ")},
+      ALTER COLUMN applied_by SET DEFAULT CURRENT_USER;
     `
   );
+  return missing.map(([name]) => name);
 };
 
+/**
+ * Creates the migrations table if it doesn't exist, or upgrades it if it does.
+ *
+ * @param {Client} client - The database client.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {boolean} [options.lock=true] - Set to false to run without the migration lock.
+ * @param {number} [options.lockTimeout] - How long to wait for the migration lock, in milliseconds.
+ * @returns {Promise<{created: boolean, upgraded: string[]}>} - A promise that resolves to whether the table had to be created, and the columns added to an existing one.
+ */
+export const setupMigrationsTable = async (client, options = {}) =>
+  withMigrationLock(
+    client,
+    async () => {
+      if (await doesMigrationsTableExist(client, options)) {
+        return {
+          created: false,
+          upgraded: await upgradeMigrationsTable(client, options),
+        };
+      }
+      await createMigrationsTable(client, options);
+      return { created: true, upgraded: [] };
+    },
+    options
+  );
+
 /**
  * Creates the migrations table in the database if it doesn't exist.
  *
  * @param {Client} client - The database client.
- * @returns {Promise<pg.QueryResult>} - A promise that resolves when the table is created or if it already exists.
+ * @param {Object} [options] - Migration options, see `setupMigrationsTable`.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome, the console by default.
+ * @returns {Promise<{created: boolean, upgraded: string[]}>} - A promise that resolves when the table is created, upgraded or if it already exists.
  */
-export const handleSetup = async (client) => {
-  if (await doesMigrationsTableExist(client)) {
-    console.log("Migration table already exists. Setup skipped.");
-    return;
+export const handleSetup = async (client, options = {}) => {
+  const result = await setupMigrationsTable(client, options);
+  const logger = resolveLogger(options.logger);
+  if (result.created) {
+    logger.info("Migration table set up successfully.");
+  } else if (result.upgraded.length > 0) {
+    logger.info(
+      `Migration table upgraded with columns: ${result.upgraded.join(", ")}.`
+    );
+  } else {
+    logger.info("Migration table already exists. Setup skipped.");
   }
-  await createMigrationsTable(client);
-  console.log("Migration table set up successfully.");
+  return result;
 };
 
 export default handleSetup;
@@ -17,6 +17,16 @@ describe("doesMigrationsTableExist", () => {
       assert.strictEqual(exists, true);
     });
   });
+
+  it("should only look in the given schema", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      const exists = await doesMigrationsTableExist(client, {
+        tableSchema: "billing",
+      });
+      assert.strictEqual(exists, false);
+    });
+  });
 });
 
 describe("handleSetup", () => {
@@ -47,12 +57,63 @@ describe("handleSetup", () => {
       const result = await client.query(
         "SELECT column_name FROM information_schema.columns WHERE table_name = 'migrations'"
       );
-      const expectedColumns = ["id", "filename", "applied_at"].sort();
+      const expectedColumns = [
+        "id",
+        "filename",
+        "applied_at",
+        "checksum",
+        "duration_ms",
+        "batch",
+        "applied_by",
+        "hostname",
+        "tool_version",
+      ].sort();
       const actualColumns = result.rows.map((row) => row.column_name).sort();
       assert.deepStrictEqual(actualColumns, expectedColumns);
     });
   });
 
+  it("should add missing columns to an existing migrations table", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE migrations (
+          id SERIAL PRIMARY KEY,
+          filename VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+      `);
+      await handleSetup(client);
+      const result = await client.query(
+        "SELECT column_name FROM information_schema.columns WHERE table_name = 'migrations'"
+      );
+      const actualColumns = result.rows.map((row) => row.column_name);
+      assert(actualColumns.includes("checksum"));
+      assert(actualColumns.includes("batch"));
+    });
+  });
+
+  it("should only report the columns it added", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE migrations (
+          id SERIAL PRIMARY KEY,
+          filename VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW(),
+          checksum VARCHAR(64)
+        );
+      `);
+      const { upgraded } = await handleSetup(client);
+      assert.deepStrictEqual(upgraded, [
+        "duration_ms",
+        "batch",
+        "applied_by",
+        "hostname",
+        "tool_version",
+      ]);
+      assert.deepStrictEqual((await handleSetup(client)).upgraded, []);
+    });
+  });
+
   it("should set default values correctly", async () => {
     await withClient(async (client) => {
       await handleSetup(client);
@@ -60,9 +121,10 @@ describe("handleSetup", () => {
         "INSERT INTO migrations (filename) VALUES ('test_migration.sql')"
       );
       const result = await client.query(
-        "SELECT applied_at FROM migrations WHERE filename = 'test_migration.sql'"
+        "SELECT applied_at, applied_by, current_user AS current FROM migrations WHERE filename = 'test_migration.sql'"
       );
       assert.ok(result.rows[0].applied_at);
+      assert.strictEqual(result.rows[0].applied_by, result.rows[0].current);
     });
   });
 });
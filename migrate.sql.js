@@ -0,0 +1,128 @@
+export const DIRECTIVE_PREFIX = "-- sql-migrate:";
+export const NO_TRANSACTION_DIRECTIVE = "no-transaction";
+export const IRREVERSIBLE_DIRECTIVE = "irreversible";
+
+const DOLLAR_QUOTE_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+
+/**
+ * Reads the directives from the header of a migration file, i.e. lines such as
+ * `-- sql-migrate: no-transaction` that come before the first SQL statement.
+ *
+ * @param {string} sql - The content of the migration file.
+ * @returns {string[]} The directive names, lowercased.
+ */
+export const parseDirectives = (sql) => {
+  const directives = [];
+  for (const line of sql.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === "") continue;
+    if (!trimmed.startsWith("--")) break;
+    if (trimmed.toLowerCase().startsWith(DIRECTIVE_PREFIX)) {
+      directives.push(
+        ...trimmed
+          .slice(DIRECTIVE_PREFIX.length)
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .map((directive) => directive.toLowerCase())
+      );
+    }
+  }
+  return directives;
+};
+
+/**
+ * Checks whether a migration file carries a directive in its header.
+ * @param {string} sql - The content of the migration file.
+ * @param {string} directive - The directive name.
+ * @returns {boolean} True if the directive is present.
+ */
+export const hasDirective = (sql, directive) =>
+  parseDirectives(sql).includes(directive);
+
+/**
+ * Matches a dollar quote tag such as `$$` or `$body$` at a position.
+ * @param {string} sql - The SQL being scanned.
+ * @param {number} index - The position of the `$`.
+ * @returns {string|null} The tag, or null if there is none at the position.
+ */
+const matchDollarQuoteTag = (sql, index) => {
+  DOLLAR_QUOTE_TAG.lastIndex = index;
+  const match = DOLLAR_QUOTE_TAG.exec(sql);
+  return match ? match[0] : null;
+};
+
+/**
+ * Splits SQL into separate statements on top-level semicolons, leaving
+ * semicolons inside strings, quoted identifiers, dollar-quoted bodies and comments alone.
+ * Statements consisting only of comments are dropped.
+ *
+ * @param {string} sql - The SQL to split.
+ * @returns {string[]} The statements, without their trailing semicolons.
+ */
+export const splitStatements = (sql) => {
+  const statements = [];
+  let start = 0;
+  let hasCode = false;
+  let i = 0;
+
+  const pushStatement = (end) => {
+    if (hasCode) statements.push(sql.slice(start, end).trim());
+    start = end + 1;
+    hasCode = false;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === "-" && next === "-") {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end + 1;
+    } else if (char === "/" && next === "*") {
+      let depth = 1;
+      i += 2;
+      while (i < sql.length && depth > 0) {
+        if (sql[i] === "/" && sql[i + 1] === "*") {
+          depth++;
+          i += 2;
+        } else if (sql[i] === "*" && sql[i + 1] === "/") {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      }
+    } else if (char === "'" || char === '"') {
+      hasCode = true;
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === char && sql[i + 1] === char) {
+          i += 2;
+        } else if (sql[i] === char) {
+          i++;
+          break;
+        } else {
+          i++;
+        }
+      }
+    } else if (
+      char === "$" &&
+      !/[A-Za-z0-9_]/.test(sql[i - 1] || "") &&
+      matchDollarQuoteTag(sql, i)
+    ) {
+      hasCode = true;
+      const tag = matchDollarQuoteTag(sql, i);
+      const end = sql.indexOf(tag, i + tag.length);
+      i = end === -1 ? sql.length : end + tag.length;
+    } else if (char === ";") {
+      pushStatement(i);
+      i++;
+    } else {
+      if (!/\s/.test(char)) hasCode = true;
+      i++;
+    }
+  }
+  pushStatement(sql.length);
+
+  return statements;
+};
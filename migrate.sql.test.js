@@ -0,0 +1,79 @@
+import assert from "assert";
+import {
+  parseDirectives,
+  hasDirective,
+  splitStatements,
+  NO_TRANSACTION_DIRECTIVE,
+} from "./migrate.sql.js";
+
+describe("parseDirectives", () => {
+  it("should read directives from the header comments", () => {
+    const sql = [
+      "-- Adds an index without locking the table",
+      "-- sql-migrate: no-transaction",
+      "",
+      "CREATE INDEX CONCURRENTLY users_email_idx ON users (email);",
+    ].join("\n");
+    assert.deepStrictEqual(parseDirectives(sql), [NO_TRANSACTION_DIRECTIVE]);
+  });
+
+  it("should ignore directives after the first statement", () => {
+    const sql = "SELECT 1;\n-- sql-migrate: no-transaction";
+    assert.deepStrictEqual(parseDirectives(sql), []);
+  });
+
+  it("should read several directives from one line", () => {
+    const sql = "-- sql-migrate: No-Transaction, other\nSELECT 1;";
+    assert.deepStrictEqual(parseDirectives(sql), ["no-transaction", "other"]);
+  });
+});
+
+describe("hasDirective", () => {
+  it("should return whether the directive is present", () => {
+    const sql = "-- sql-migrate: no-transaction\nVACUUM users;";
+    assert.strictEqual(hasDirective(sql, NO_TRANSACTION_DIRECTIVE), true);
+    assert.strictEqual(
+      hasDirective("VACUUM users;", NO_TRANSACTION_DIRECTIVE),
+      false
+    );
+  });
+});
+
+describe("splitStatements", () => {
+  it("should split statements on semicolons", () => {
+    const sql = "CREATE TABLE a (id INT);\nCREATE TABLE b (id INT);\n";
+    assert.deepStrictEqual(splitStatements(sql), [
+      "CREATE TABLE a (id INT)",
+      "CREATE TABLE b (id INT)",
+    ]);
+  });
+
+  it("should not split inside strings, identifiers or comments", () => {
+    const sql = [
+      `INSERT INTO "odd;name" VALUES ('a;b', 'it''s; fine');`,
+      "/* not; here */ SELECT 1; -- nor; here",
+    ].join("\n");
+    assert.deepStrictEqual(splitStatements(sql), [
+      `INSERT INTO "odd;name" VALUES ('a;b', 'it''s; fine')`,
+      "/* not; here */ SELECT 1",
+    ]);
+  });
+
+  it("should not split inside dollar-quoted bodies", () => {
+    const sql = [
+      "CREATE FUNCTION one() RETURNS INT AS $body$ SELECT 1; $body$ LANGUAGE sql;",
+      "DO $$ BEGIN PERFORM one(); END $$;",
+    ].join("\n");
+    assert.deepStrictEqual(splitStatements(sql), [
+      "CREATE FUNCTION one() RETURNS INT AS $body$ SELECT 1; $body$ LANGUAGE sql",
+      "DO $$ BEGIN PERFORM one(); END $$",
+    ]);
+  });
+
+  it("should drop statements made only of comments", () => {
+    const sql = "-- sql-migrate: no-transaction\nVACUUM;\n-- done\n";
+    assert.deepStrictEqual(splitStatements(sql), [
+      "-- sql-migrate: no-transaction\nVACUUM",
+    ]);
+  });
+});
@@ -0,0 +1,162 @@
+import { getAllMigrations, formatTable } from "./migrate.utils.js";
+import {
+  getAppliedMigrationRows,
+  findOutOfOrderMigrations,
+  OUT_OF_ORDER_POLICIES,
+  DEFAULT_OUT_OF_ORDER_POLICY,
+} from "./migrate.up.js";
+import { isApplyMigration } from "./migrate.loader.js";
+import { resolveLogger } from "./migrate.logger.js";
+import pg from "pg";
+
+export const MIGRATION_STATES = {
+  APPLIED: "applied",
+  PENDING: "pending",
+  MISSING: "missing",
+};
+
+/**
+ * @typedef {Object} MigrationStatus
+ * @property {string} filename - The filename of the apply or single-file migration.
+ * @property {string} state - One of `MIGRATION_STATES`.
+ * @property {Date|null} appliedAt - When the migration was applied, null if it is pending.
+ * @property {boolean} outOfOrder - True for a pending migration older than the newest applied one.
+ */
+
+/**
+ * Combines the migration files with the rows of the migrations table.
+ * Applied migrations whose file no longer exists are reported as missing.
+ *
+ * @param {string[]} allMigrations - All migration files in the migrations directory.
+ * @param {{filename: string, applied_at: Date}[]} appliedRows - The rows of the migrations table.
+ * @returns {MigrationStatus[]} The status of every migration, ordered by filename.
+ */
+export const determineMigrationStatus = (allMigrations, appliedRows) => {
+  const applyMigrations = new Set(
+    allMigrations.filter((migration) => isApplyMigration(migration))
+  );
+  const appliedAtByFilename = new Map(
+    appliedRows.map((row) => [row.filename, row.applied_at])
+  );
+  const outOfOrderMigrations = new Set(
+    findOutOfOrderMigrations(
+      [...applyMigrations].filter(
+        (migration) => !appliedAtByFilename.has(migration)
+      ),
+      [...appliedAtByFilename.keys()]
+    )
+  );
+
+  const filenames = [
+    ...new Set([...applyMigrations, ...appliedAtByFilename.keys()]),
+  ].sort((a, b) => a.localeCompare(b));
+
+  return filenames.map((filename) => {
+    if (!appliedAtByFilename.has(filename)) {
+      return {
+        filename,
+        state: MIGRATION_STATES.PENDING,
+        appliedAt: null,
+        outOfOrder: outOfOrderMigrations.has(filename),
+      };
+    }
+
+    return {
+      filename,
+      state: applyMigrations.has(filename)
+        ? MIGRATION_STATES.APPLIED
+        : MIGRATION_STATES.MISSING,
+      appliedAt: appliedAtByFilename.get(filename),
+      outOfOrder: false,
+    };
+  });
+};
+
+/**
+ * Retrieves the status of every migration.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the client is not provided.
+ * @returns {Promise<{migrations: MigrationStatus[]}>} A promise that resolves to the status of every migration.
+ */
+export const getMigrationStatus = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+
+  const allMigrations = await getAllMigrations(options.migrationsDir);
+  const appliedRows = await getAppliedMigrationRows(client, options);
+  return { migrations: determineMigrationStatus(allMigrations, appliedRows) };
+};
+
+/**
+ * What `up` does with out-of-order migrations under each policy, for the status table.
+ */
+const OUT_OF_ORDER_LABELS = {
+  [OUT_OF_ORDER_POLICIES.STRICT]: "pending, out of order, blocks up",
+  [OUT_OF_ORDER_POLICIES.ALLOW]: "pending, out of order",
+  [OUT_OF_ORDER_POLICIES.IGNORE]: "pending, out of order, skipped",
+};
+
+/**
+ * Describes the state of a migration for the status table.
+ * @param {MigrationStatus} migration - The migration status.
+ * @param {string} policy - The out-of-order policy, one of `OUT_OF_ORDER_POLICIES`.
+ * @returns {string} The label.
+ */
+const stateLabel = ({ state, outOfOrder }, policy) => {
+  if (state === MIGRATION_STATES.MISSING) return "applied, file missing";
+  if (outOfOrder) {
+    return (
+      OUT_OF_ORDER_LABELS[policy] ||
+      OUT_OF_ORDER_LABELS[DEFAULT_OUT_OF_ORDER_POLICY]
+    );
+  }
+  return state;
+};
+
+/**
+ * Formats migration statuses as a plain text table.
+ * @param {MigrationStatus[]} migrations - The migration statuses.
+ * @param {string} [policy=DEFAULT_OUT_OF_ORDER_POLICY] - The out-of-order policy `up` runs with.
+ * @returns {string} The table.
+ */
+export const formatStatusTable = (
+  migrations,
+  policy = DEFAULT_OUT_OF_ORDER_POLICY
+) =>
+  formatTable([
+    ["Status", "Applied At", "Migration"],
+    ...migrations.map((migration) => [
+      stateLabel(migration, policy),
+      migration.appliedAt ? migration.appliedAt.toISOString() : "-",
+      migration.filename,
+    ]),
+  ]);
+
+/**
+ * Prints the status of every migration.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `getMigrationStatus`.
+ * @param {boolean} [options.json] - Print JSON instead of a table.
+ * @param {string} [options.outOfOrder] - The out-of-order policy `up` runs with, to describe what it does with out-of-order migrations.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the status as a `status` event, the console by default.
+ * @returns {Promise<{migrations: MigrationStatus[]}>} A promise that resolves to the status of every migration.
+ */
+export const handleStatus = async (client, options = {}) => {
+  const result = await getMigrationStatus(client, options);
+
+  let message;
+  if (options.json) {
+    message = JSON.stringify(result, null, 2);
+  } else if (result.migrations.length === 0) {
+    message = "No migrations found.";
+  } else {
+    message = formatStatusTable(result.migrations, options.outOfOrder);
+  }
+  resolveLogger(options.logger).event("status", result, message);
+  return result;
+};
+
+export default handleStatus;
@@ -0,0 +1,151 @@
+import assert from "assert";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp } from "./migrate.up.js";
+import {
+  determineMigrationStatus,
+  formatStatusTable,
+  getMigrationStatus,
+  MIGRATION_STATES,
+} from "./migrate.status.js";
+
+describe("determineMigrationStatus", () => {
+  const appliedAt = new Date("2023-09-22T03:44:00.000Z");
+
+  it("should mark migrations as applied or pending", () => {
+    const allMigrations = [
+      "20230922034400001_create_users_table.apply.sql",
+      "20230922034400001_create_users_table.revert.sql",
+      "20230922034400002_create_posts_table.apply.sql",
+      "20230922034400002_create_posts_table.revert.sql",
+    ];
+    const appliedRows = [
+      {
+        filename: "20230922034400001_create_users_table.apply.sql",
+        applied_at: appliedAt,
+      },
+    ];
+    const result = determineMigrationStatus(allMigrations, appliedRows);
+    assert.deepStrictEqual(result, [
+      {
+        filename: "20230922034400001_create_users_table.apply.sql",
+        state: MIGRATION_STATES.APPLIED,
+        appliedAt,
+        outOfOrder: false,
+      },
+      {
+        filename: "20230922034400002_create_posts_table.apply.sql",
+        state: MIGRATION_STATES.PENDING,
+        appliedAt: null,
+        outOfOrder: false,
+      },
+    ]);
+  });
+
+  it("should mark applied migrations without a file as missing", () => {
+    const appliedRows = [
+      {
+        filename: "20230922034400001_create_users_table.apply.sql",
+        applied_at: appliedAt,
+      },
+    ];
+    const [result] = determineMigrationStatus([], appliedRows);
+    assert.strictEqual(result.state, MIGRATION_STATES.MISSING);
+    assert.strictEqual(result.appliedAt, appliedAt);
+  });
+
+  it("should flag pending migrations older than the newest applied one", () => {
+    const allMigrations = [
+      "20230922034400001_create_users_table.apply.sql",
+      "20230922034400002_create_posts_table.apply.sql",
+      "20230922034400003_create_comments_table.apply.sql",
+    ];
+    const appliedRows = [
+      {
+        filename: "20230922034400001_create_users_table.apply.sql",
+        applied_at: appliedAt,
+      },
+      {
+        filename: "20230922034400003_create_comments_table.apply.sql",
+        applied_at: appliedAt,
+      },
+    ];
+    const result = determineMigrationStatus(allMigrations, appliedRows);
+    assert.deepStrictEqual(
+      result.map(({ state, outOfOrder }) => [state, outOfOrder]),
+      [
+        [MIGRATION_STATES.APPLIED, false],
+        [MIGRATION_STATES.PENDING, true],
+        [MIGRATION_STATES.APPLIED, false],
+      ]
+    );
+  });
+});
+
+describe("formatStatusTable", () => {
+  it("should align the columns of every row", () => {
+    const table = formatStatusTable([
+      {
+        filename: "20230922034400001_create_users_table.apply.sql",
+        state: MIGRATION_STATES.APPLIED,
+        appliedAt: new Date("2023-09-22T03:44:00.000Z"),
+        outOfOrder: false,
+      },
+      {
+        filename: "20230922034400002_create_posts_table.apply.sql",
+        state: MIGRATION_STATES.PENDING,
+        appliedAt: null,
+        outOfOrder: true,
+      },
+    ]);
+    assert.deepStrictEqual(table.split("\n"), [
+      "Status                 Applied At                Migration",
+      "applied                2023-09-22T03:44:00.000Z  20230922034400001_create_users_table.apply.sql",
+      "pending, out of order  -                         20230922034400002_create_posts_table.apply.sql",
+    ]);
+  });
+
+  it("should tell what up does with out-of-order migrations under the policy", () => {
+    const migrations = [
+      {
+        filename: "20230922034400002_create_posts_table.apply.sql",
+        state: MIGRATION_STATES.PENDING,
+        appliedAt: null,
+        outOfOrder: true,
+      },
+    ];
+    assert.match(
+      formatStatusTable(migrations, "strict"),
+      /^pending, out of order, blocks up +- +20230922034400002/m
+    );
+    assert.match(
+      formatStatusTable(migrations, "ignore"),
+      /^pending, out of order, skipped +- +20230922034400002/m
+    );
+  });
+});
+
+describe("getMigrationStatus", () => {
+  it("should throw an error if client is not provided", () =>
+    assert.rejects(
+      getMigrationStatus(null),
+      new Error("Client is not provided.")
+    ));
+
+  it("should report the migrations applied to the database", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400002");
+      const { migrations } = await getMigrationStatus(client);
+      assert.deepStrictEqual(
+        migrations.map(({ state }) => state),
+        [
+          MIGRATION_STATES.APPLIED,
+          MIGRATION_STATES.APPLIED,
+          MIGRATION_STATES.PENDING,
+        ]
+      );
+      assert.ok(migrations[0].appliedAt instanceof Date);
+    });
+  });
+});
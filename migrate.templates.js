@@ -0,0 +1,344 @@
+import fs from "fs";
+import path from "path";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import {
+  APPLY_MIGRATION_FILE_SUFFIX,
+  REVERT_MIGRATION_FILE_SUFFIX,
+} from "./migrate.loader.js";
+
+/**
+ * @typedef {Object} Column
+ * @property {string} name - The column name, or the current name for `rename-column`.
+ * @property {string} [type] - The column type, or the new name for `rename-column`.
+ */
+
+/**
+ * @typedef {Object} TemplateParams
+ * @property {string} name - The migration name as given.
+ * @property {string} [table] - The table the migration changes.
+ * @property {Column[]} columns - The columns given as `<name>:<type>` arguments.
+ */
+
+/**
+ * @typedef {Object} MigrationTemplate
+ * @property {string} up - The SQL that applies the migration.
+ * @property {string} down - The SQL that reverts it.
+ */
+
+/**
+ * Migrations that are not generated from a template.
+ * @type {MigrationTemplate}
+ */
+export const BLANK_TEMPLATE = {
+  up: "-- SQL statements for applying the migration",
+  down: "-- SQL statements for reverting the migration",
+};
+
+/**
+ * Throws a usage error unless the template got a table.
+ * @param {string} template - The template name, for the error message.
+ * @param {TemplateParams} params - The template parameters.
+ * @returns {string} The table.
+ */
+const requireTable = (template, { table }) => {
+  if (!table) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `The ${template} template needs a table; pass --table <name>.`
+    );
+  }
+  return table;
+};
+
+/**
+ * Throws a usage error unless the template got columns.
+ * @param {string} template - The template name, for the error message.
+ * @param {TemplateParams} params - The template parameters.
+ * @param {string} example - An example argument for the error message.
+ * @returns {Column[]} The columns.
+ */
+const requireColumns = (template, { columns }, example) => {
+  if (columns.length === 0) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `The ${template} template needs at least one column, e.g. ${example}.`
+    );
+  }
+  return columns;
+};
+
+/**
+ * The templates `generate` knows, by name. Each renders the apply and revert SQL.
+ * @type {Object<string, function(TemplateParams): MigrationTemplate>}
+ */
+export const BUILT_IN_TEMPLATES = {
+  "create-table": (params) => {
+    const table = requireTable("create-table", params);
+    const definitions =
+      params.columns.length > 0
+        ? params.columns.map(({ name, type }) =>
+            type ? `  ${name} ${type}` : `  ${name}`
+          )
+        : ["  -- column definitions"];
+    return {
+      up: `CREATE TABLE ${table} (\n${definitions.join(",\n")}\n);`,
+      down: `DROP TABLE ${table};`,
+    };
+  },
+
+  "add-column": (params) => {
+    const table = requireTable("add-column", params);
+    const columns = requireColumns("add-column", params, "email:text");
+    for (const { name, type } of columns) {
+      if (!type) {
+        throw createError(
+          ERROR_CODES.USAGE,
+          `Column '${name}' needs a type, e.g. ${name}:text.`
+        );
+      }
+    }
+    return {
+      up: columns
+        .map(
+          ({ name, type }) => `ALTER TABLE ${table} ADD COLUMN ${name} ${type};`
+        )
+        .join("\n"),
+      down: [...columns]
+        .reverse()
+        .map(({ name }) => `ALTER TABLE ${table} DROP COLUMN ${name};`)
+        .join("\n"),
+    };
+  },
+
+  "add-index": (params) => {
+    const table = requireTable("add-index", params);
+    const names = requireColumns("add-index", params, "email").map(
+      ({ name }) => name
+    );
+    const index = `${table.split(".").pop()}_${names.join("_")}_idx`;
+    return {
+      up: `CREATE INDEX ${index} ON ${table} (${names.join(", ")});`,
+      down: `DROP INDEX ${index};`,
+    };
+  },
+
+  "rename-column": (params) => {
+    const table = requireTable("rename-column", params);
+    const columns = requireColumns("rename-column", params, "name:username");
+    const renames = columns.map(({ name, type: newName }) => {
+      if (!newName) {
+        throw createError(
+          ERROR_CODES.USAGE,
+          `Column '${name}' needs a new name, e.g. ${name}:new_${name}.`
+        );
+      }
+      return [name, newName];
+    });
+    const rename = ([from, to]) =>
+      `ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to};`;
+    return {
+      up: renames.map(rename).join("\n"),
+      down: [...renames]
+        .reverse()
+        .map(([from, to]) => rename([to, from]))
+        .join("\n"),
+    };
+  },
+};
+
+/**
+ * Name patterns that pick a template, tried in order, with how they name the table
+ * and columns. Names are matched in snake case, so `createUsersTable` matches as well.
+ */
+const NAME_PATTERNS = [
+  {
+    pattern: /^create_(\w+)_table$/,
+    template: "create-table",
+    params: ([, table]) => ({ table }),
+  },
+  {
+    pattern: /^add_index_(?:on|to)_(\w+)$/,
+    template: "add-index",
+    needsColumns: true,
+    params: ([, table]) => ({ table }),
+  },
+  {
+    pattern: /^add_(\w+)_index_(?:on|to)_(\w+)$/,
+    template: "add-index",
+    params: ([, columns, table]) => ({
+      table,
+      columns: columns.split("_and_").map((name) => ({ name })),
+    }),
+  },
+  {
+    pattern: /^rename_(\w+)_to_(\w+)_(?:in|on)_(\w+)$/,
+    template: "rename-column",
+    params: ([, from, to, table]) => ({
+      table,
+      columns: [{ name: from, type: to }],
+    }),
+  },
+  {
+    pattern: /^rename_columns?_(?:in|on)_(\w+)$/,
+    template: "rename-column",
+    needsColumns: true,
+    params: ([, table]) => ({ table }),
+  },
+  {
+    pattern: /^add_\w+_to_(\w+)$/,
+    template: "add-column",
+    needsColumns: true,
+    params: ([, table]) => ({ table }),
+  },
+];
+
+/**
+ * Converts a migration name to snake case for matching.
+ * @param {string} migrationName - The migration name, e.g. "createUsersTable" or "create-users-table".
+ * @returns {string} The name in snake case, e.g. "create_users_table".
+ */
+const toSnakeCase = (migrationName) =>
+  migrationName
+    .replace(/([a-z])([A-Z])/g, "$1_$2")
+    .replace(/[\s-]+/g, "_")
+    .toLowerCase();
+
+/**
+ * Infers a template and its table from a migration name, such as `create_users_table`,
+ * `add_email_to_users`, `add_email_index_to_users` or `rename_name_to_username_in_users`.
+ * Names that only make sense with columns, such as `add_email_to_users`, infer nothing
+ * unless columns are given.
+ *
+ * @param {string} migrationName - The migration name.
+ * @param {Column[]} [columns=[]] - The columns given as arguments.
+ * @returns {{template: string, table: string, columns: Column[]}|null} The template and its parameters, or null if the name matches none.
+ */
+export const inferTemplate = (migrationName, columns = []) => {
+  const name = toSnakeCase(migrationName);
+  for (const { pattern, template, needsColumns, params } of NAME_PATTERNS) {
+    const match = name.match(pattern);
+    if (!match || (needsColumns && columns.length === 0)) continue;
+    const inferred = params(match);
+    return {
+      template,
+      table: inferred.table,
+      columns: columns.length > 0 ? columns : inferred.columns || [],
+    };
+  }
+  return null;
+};
+
+/**
+ * Parses `<name>:<type>` column arguments.
+ * @param {string[]} args - The arguments, e.g. ["id:serial", "name:text"].
+ * @returns {Column[]} The columns.
+ * @throws {Error} If a column name is empty.
+ */
+export const parseColumns = (args = []) =>
+  args.map((arg) => {
+    const separator = arg.indexOf(":");
+    const name = separator === -1 ? arg : arg.slice(0, separator);
+    const type = separator === -1 ? undefined : arg.slice(separator + 1);
+    if (!name) {
+      throw createError(
+        ERROR_CODES.USAGE,
+        `Invalid column '${arg}'; use <name>:<type>.`
+      );
+    }
+    return type ? { name, type } : { name };
+  });
+
+/**
+ * Renders a user template, replacing `{{name}}`, `{{table}}` and `{{columns}}`.
+ * `{{columns}}` becomes the column definitions, one per line.
+ *
+ * @param {string} source - The template source.
+ * @param {TemplateParams} params - The template parameters.
+ * @returns {string} The rendered SQL.
+ */
+export const renderTemplate = (source, { name, table, columns }) => {
+  const values = {
+    name,
+    table: table || "",
+    columns: columns
+      .map(({ name: column, type }) => (type ? `${column} ${type}` : column))
+      .join(",\n  "),
+  };
+  return source.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder
+  );
+};
+
+/**
+ * Reads a user template, a `<template>.apply.sql` and `<template>.revert.sql` pair
+ * in the templates directory.
+ *
+ * @param {string} templatesDir - The directory holding the user templates.
+ * @param {string} template - The template name.
+ * @returns {{up: string, down: string}|null} The template sources, or null if the directory has no such template.
+ */
+const readUserTemplate = (templatesDir, template) => {
+  const applyPath = path.join(
+    templatesDir,
+    `${template}${APPLY_MIGRATION_FILE_SUFFIX}`
+  );
+  const revertPath = path.join(
+    templatesDir,
+    `${template}${REVERT_MIGRATION_FILE_SUFFIX}`
+  );
+  if (!fs.existsSync(applyPath)) return null;
+  return {
+    up: fs.readFileSync(applyPath, "utf-8"),
+    down: fs.existsSync(revertPath) ? fs.readFileSync(revertPath, "utf-8") : "",
+  };
+};
+
+/**
+ * Renders the SQL of a new migration. An explicit template is looked up in the user
+ * templates directory first, then among `BUILT_IN_TEMPLATES`. Without one, the template
+ * is inferred from the migration name; migrations that match none get placeholder comments.
+ *
+ * @param {string} migrationName - The migration name.
+ * @param {Object} [options] - Template options.
+ * @param {string} [options.template] - The template name.
+ * @param {string} [options.table] - The table, overriding the one inferred from the name.
+ * @param {string[]} [options.columns] - Column arguments, e.g. ["id:serial", "name:text"].
+ * @param {string} [options.templatesDir] - The directory holding the user templates.
+ * @throws {Error} If the template is unknown or misses a table or columns.
+ * @returns {MigrationTemplate} The apply and revert SQL.
+ */
+export const renderMigration = (
+  migrationName,
+  { template, table, columns: columnArgs, templatesDir } = {}
+) => {
+  const columns = parseColumns(columnArgs);
+  const inferred = inferTemplate(migrationName, columns);
+  const name = template || inferred?.template;
+  if (!name) return BLANK_TEMPLATE;
+
+  const params = {
+    name: migrationName,
+    table: table || (inferred?.template === name ? inferred.table : undefined),
+    columns:
+      inferred?.template === name && columns.length === 0
+        ? inferred.columns
+        : columns,
+  };
+
+  const userTemplate = templatesDir && readUserTemplate(templatesDir, name);
+  if (userTemplate) {
+    return {
+      up: renderTemplate(userTemplate.up, params),
+      down: renderTemplate(userTemplate.down, params),
+    };
+  }
+  if (!BUILT_IN_TEMPLATES[name]) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `Unknown template: ${name}. Use one of ${Object.keys(
+        BUILT_IN_TEMPLATES
+      ).join(", ")}${templatesDir ? `, or a template in ${templatesDir}` : ""}.`
+    );
+  }
+  return BUILT_IN_TEMPLATES[name](params);
+};
@@ -0,0 +1,168 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  BLANK_TEMPLATE,
+  inferTemplate,
+  parseColumns,
+  renderMigration,
+} from "./migrate.templates.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+
+describe("inferTemplate", () => {
+  it("should infer the template and table from the migration name", () => {
+    assert.deepStrictEqual(inferTemplate("create_user_roles_table"), {
+      template: "create-table",
+      table: "user_roles",
+      columns: [],
+    });
+    assert.deepStrictEqual(inferTemplate("addEmailIndexToUsers"), {
+      template: "add-index",
+      table: "users",
+      columns: [{ name: "email" }],
+    });
+    assert.deepStrictEqual(inferTemplate("rename-name-to-username-in-users"), {
+      template: "rename-column",
+      table: "users",
+      columns: [{ name: "name", type: "username" }],
+    });
+  });
+
+  it("should only infer add-column when columns are given", () => {
+    assert.strictEqual(inferTemplate("add_email_to_users"), null);
+    assert.deepStrictEqual(
+      inferTemplate("add_email_to_users", [{ name: "email", type: "text" }]),
+      {
+        template: "add-column",
+        table: "users",
+        columns: [{ name: "email", type: "text" }],
+      }
+    );
+  });
+
+  it("should infer nothing from other names", () => {
+    assert.strictEqual(inferTemplate("backfill_user_emails"), null);
+  });
+});
+
+describe("parseColumns", () => {
+  it("should split names and types", () => {
+    assert.deepStrictEqual(
+      parseColumns(["id:serial", "price:numeric(10,2)", "email"]),
+      [
+        { name: "id", type: "serial" },
+        { name: "price", type: "numeric(10,2)" },
+        { name: "email" },
+      ]
+    );
+  });
+});
+
+describe("renderMigration", () => {
+  it("should create and drop a table inferred from the name", () => {
+    assert.deepStrictEqual(
+      renderMigration("create_users_table", {
+        columns: ["id:serial", "name:text"],
+      }),
+      {
+        up: "CREATE TABLE users (\n  id serial,\n  name text\n);",
+        down: "DROP TABLE users;",
+      }
+    );
+  });
+
+  it("should revert added columns and renames in reverse order", () => {
+    assert.deepStrictEqual(
+      renderMigration("add_contact_details_to_users", {
+        columns: ["email:text", "phone:text"],
+      }),
+      {
+        up: [
+          "ALTER TABLE users ADD COLUMN email text;",
+          "ALTER TABLE users ADD COLUMN phone text;",
+        ].join("\n"),
+        down: [
+          "ALTER TABLE users DROP COLUMN phone;",
+          "ALTER TABLE users DROP COLUMN email;",
+        ].join("\n"),
+      }
+    );
+    assert.deepStrictEqual(
+      renderMigration("tidy_users", {
+        template: "rename-column",
+        table: "users",
+        columns: ["name:username"],
+      }),
+      {
+        up: "ALTER TABLE users RENAME COLUMN name TO username;",
+        down: "ALTER TABLE users RENAME COLUMN username TO name;",
+      }
+    );
+  });
+
+  it("should name the index after the table and columns", () => {
+    assert.deepStrictEqual(
+      renderMigration("add_index_to_posts", {
+        columns: ["user_id", "created_at"],
+      }),
+      {
+        up: "CREATE INDEX posts_user_id_created_at_idx ON posts (user_id, created_at);",
+        down: "DROP INDEX posts_user_id_created_at_idx;",
+      }
+    );
+  });
+
+  it("should fall back to placeholders when nothing is inferred", () => {
+    assert.deepStrictEqual(
+      renderMigration("backfill_user_emails"),
+      BLANK_TEMPLATE
+    );
+  });
+
+  it("should fail on an unknown template or a missing table", () => {
+    assert.throws(
+      () => renderMigration("backfill", { template: "seed" }),
+      (error) =>
+        error.code === ERROR_CODES.USAGE &&
+        /Unknown template: seed/.test(error.message)
+    );
+    assert.throws(
+      () => renderMigration("backfill", { template: "create-table" }),
+      /needs a table; pass --table/
+    );
+  });
+
+  describe("with a templates directory", () => {
+    let templatesDir;
+
+    beforeEach(() => {
+      templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+      fs.writeFileSync(
+        path.join(templatesDir, "create-table.apply.sql"),
+        "CREATE TABLE {{table}} (\n  {{columns}},\n  created_at timestamptz NOT NULL DEFAULT now()\n);\n"
+      );
+      fs.writeFileSync(
+        path.join(templatesDir, "create-table.revert.sql"),
+        "DROP TABLE {{table}}; -- {{name}}\n"
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(templatesDir, { recursive: true, force: true });
+    });
+
+    it("should prefer a user template over the built-in one", () => {
+      assert.deepStrictEqual(
+        renderMigration("create_users_table", {
+          columns: ["id:serial"],
+          templatesDir,
+        }),
+        {
+          up: "CREATE TABLE users (\n  id serial,\n  created_at timestamptz NOT NULL DEFAULT now()\n);\n",
+          down: "DROP TABLE users; -- create_users_table\n",
+        }
+      );
+    });
+  });
+});
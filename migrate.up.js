@@ -2,49 +2,175 @@ import {
   getAllMigrations,
   executeSQL,
   executeInTransaction,
-  readMigrationContent,
+  executeMigration,
+  computeChecksum,
+  qualifyIdentifier,
+  quoteLiteral,
+  readVersion,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
 } from "./migrate.utils.js";
+import os from "os";
 import pg from "pg";
 import { composePredicates } from "funcadelic.js";
+import { assertChecksumsMatch } from "./migrate.verify.js";
+import { withMigrationLock } from "./migrate.lock.js";
+import {
+  assertMigrationsTableUpToDate,
+  upgradeMigrationsTable,
+} from "./migrate.setup.js";
+import { assertValidMigrations } from "./migrate.validate.js";
+import { reportPlan } from "./migrate.plan.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { resolveLogger, trackMigration, trackRun } from "./migrate.logger.js";
+import { dumpSchema } from "./migrate.dump.js";
+import {
+  loadMigration,
+  readMigrationSource,
+  isApplyMigration,
+  APPLY_MIGRATION_FILE_SUFFIX,
+} from "./migrate.loader.js";
 
-export const APPLY_MIGRATION_FILE_SUFFIX = ".apply.sql";
+export { APPLY_MIGRATION_FILE_SUFFIX };
 
 /**
  * Retrieves a list of applied migrations from the database.
  * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the progress, the console by default.
  * @returns {Promise<string[]>} A promise that resolves to an array of filenames of applied migrations.
  */
-export const getAppliedMigrations = async (client) => {
+export const getAppliedMigrations = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+    logger,
+  } = {}
+) => {
   if (!client) throw new Error("Client is not provided.");
 
   try {
     const { rows } = await client.query(
-      "SELECT filename FROM migrations ORDER BY filename"
+      `SELECT filename FROM ${qualifyIdentifier(
+        tableSchema,
+        tableName
+      )} ORDER BY filename`
     );
     return rows.map((row) => row.filename);
   } catch (error) {
-    console.error("Failed to fetch applied migrations:", error);
+    resolveLogger(logger).error("Failed to fetch applied migrations:", error);
     throw error;
   }
 };
 
 /**
- * Applies a migration to the database.
+ * Retrieves the applied migrations along with the time they were applied.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<{filename: string, applied_at: Date}[]>} A promise that resolves to the rows of the migrations table.
+ */
+export const getAppliedMigrationRows = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  if (!client) throw new Error("Client is not provided.");
+
+  const { rows } = await client.query(
+    `SELECT filename, applied_at FROM ${qualifyIdentifier(
+      tableSchema,
+      tableName
+    )} ORDER BY filename`
+  );
+  return rows;
+};
+
+/**
+ * Determines the batch number for the next `up` run.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @returns {Promise<number>} A promise that resolves to one more than the latest batch, or 1 for the first run.
+ */
+export const getNextBatch = async (
+  client,
+  {
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  const { rows } = await client.query(
+    `SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM ${qualifyIdentifier(
+      tableSchema,
+      tableName
+    )}`
+  );
+  return rows[0].batch;
+};
+
+/**
+ * Applies a migration to the database. The migration SQL and its row in the
+ * migrations table commit or roll back together, unless the migration is marked
+ * `no-transaction`, see `executeMigration`. The row records the checksum, how long
+ * the migration took, the batch, and the host and tool version it ran from;
+ * `applied_by` defaults to the database user.
+ *
  * @param {pg.Client} client - The PostgreSQL client instance.
  * @param {string} filename - The filename of the migration to apply.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {number} [options.batch] - The batch of the `up` run applying the migration.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives warnings, the console by default.
  */
-export const applyMigration = async (client, filename) => {
+export const applyMigration = async (
+  client,
+  filename,
+  {
+    migrationsDir,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+    batch = null,
+    logger,
+  } = {}
+) => {
   if (!client || !filename)
     throw new Error("Client or filename is not provided.");
 
-  await executeInTransaction(client, async () => {
-    const migrationContent = await readMigrationContent(filename);
+  const { source, body } = await loadMigration(filename, "up", migrationsDir);
+  const startedAt = Date.now();
 
-    await executeSQL(client, migrationContent);
-    await executeSQL(client, "INSERT INTO migrations (filename) VALUES ($1)", [
-      filename,
-    ]);
-  });
+  await executeMigration(
+    client,
+    filename,
+    body,
+    () =>
+      executeSQL(
+        client,
+        `INSERT INTO ${qualifyIdentifier(
+          tableSchema,
+          tableName
+        )} (filename, checksum, duration_ms, batch, hostname, tool_version) VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          filename,
+          computeChecksum(source),
+          Date.now() - startedAt,
+          batch,
+          os.hostname(),
+          readVersion(),
+        ]
+      ),
+    logger
+  );
 };
 
 /**
@@ -71,7 +197,7 @@ export const determineMigrationsToApply = (
   let appliedMigrationsSet = new Set(appliedMigrations);
 
   let predicates = [
-    (migration) => migration.endsWith(APPLY_MIGRATION_FILE_SUFFIX),
+    (migration) => isApplyMigration(migration),
     (migration) => !appliedMigrationsSet.has(migration),
   ];
 
@@ -84,49 +210,274 @@ export const determineMigrationsToApply = (
 };
 
 /**
- * Applies all migrations in the provided list.
+ * What `up` does with a pending migration whose timestamp is older than the newest
+ * applied migration, typically one merged late from a feature branch:
+ * `strict` fails before applying anything, `allow` applies it with a warning,
+ * and `ignore` leaves it pending with a warning.
+ */
+export const OUT_OF_ORDER_POLICIES = {
+  STRICT: "strict",
+  ALLOW: "allow",
+  IGNORE: "ignore",
+};
+
+export const DEFAULT_OUT_OF_ORDER_POLICY = OUT_OF_ORDER_POLICIES.ALLOW;
+
+/**
+ * Finds the pending migrations that are older than the newest applied migration.
+ * @param {string[]} pendingMigrations - The migrations that are not applied.
+ * @param {string[]} appliedMigrations - The migrations that are applied.
+ * @returns {string[]} The out-of-order migrations among the pending ones.
+ */
+export const findOutOfOrderMigrations = (
+  pendingMigrations,
+  appliedMigrations
+) => {
+  const newestAppliedTimestamp = appliedMigrations
+    .map((migration) => migration.split("_")[0])
+    .reduce(
+      (newest, timestamp) => (timestamp > newest ? timestamp : newest),
+      ""
+    );
+  return pendingMigrations.filter(
+    (migration) => migration.split("_")[0] < newestAppliedTimestamp
+  );
+};
+
+/**
+ * Applies the out-of-order policy to the migrations about to be applied.
+ * @param {string[]} migrationsToApply - The pending migrations about to be applied.
+ * @param {string[]} appliedMigrations - The migrations that are applied.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.outOfOrder=DEFAULT_OUT_OF_ORDER_POLICY] - One of `OUT_OF_ORDER_POLICIES`.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the warnings, the console by default.
+ * @throws {Error} If the policy is unknown.
+ * @throws {Error} If the policy is `strict` and a migration is out of order.
+ * @returns {string[]} The migrations to apply.
+ */
+export const applyOutOfOrderPolicy = (
+  migrationsToApply,
+  appliedMigrations,
+  { outOfOrder = DEFAULT_OUT_OF_ORDER_POLICY, logger } = {}
+) => {
+  if (!Object.values(OUT_OF_ORDER_POLICIES).includes(outOfOrder)) {
+    throw createError(
+      ERROR_CODES.USAGE,
+      `Unknown out-of-order policy: ${outOfOrder}. Use strict, allow or ignore.`
+    );
+  }
+
+  const outOfOrderMigrations = findOutOfOrderMigrations(
+    migrationsToApply,
+    appliedMigrations
+  );
+  if (outOfOrderMigrations.length === 0) return migrationsToApply;
+
+  const list = outOfOrderMigrations.join(", ");
+  if (outOfOrder === OUT_OF_ORDER_POLICIES.STRICT) {
+    throw createError(
+      ERROR_CODES.OUT_OF_ORDER,
+      `Pending migrations are older than the newest applied migration: ${list}. Give them a newer timestamp, or run with --out-of-order allow.`
+    );
+  }
+  if (outOfOrder === OUT_OF_ORDER_POLICIES.ALLOW) {
+    resolveLogger(logger).warn(
+      `Applying migrations older than the newest applied migration: ${list}.`
+    );
+    return migrationsToApply;
+  }
+
+  resolveLogger(logger).warn(
+    `Skipping migrations older than the newest applied migration: ${list}.`
+  );
+  return migrationsToApply.filter(
+    (migration) => !outOfOrderMigrations.includes(migration)
+  );
+};
+
+/**
+ * Finds the pending migrations, optionally up to a specific timestamp.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.to] - The timestamp to stop at.
+ * @param {string} [options.outOfOrder] - What to do with out-of-order migrations, see `applyOutOfOrderPolicy`.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the warnings, the console by default.
+ * @throws {Error} If the policy is `strict` and a migration is out of order.
+ * @returns {Promise<string[]>} A promise that resolves to the migrations to apply, oldest first.
+ */
+export const findMigrationsToApply = async (client, options = {}) => {
+  const allMigrations = await getAllMigrations(options.migrationsDir);
+  const appliedMigrations = await getAppliedMigrations(client, options);
+  return applyOutOfOrderPolicy(
+    determineMigrationsToApply(
+      allMigrations,
+      appliedMigrations,
+      options.to
+    ).sort((a, b) => a.localeCompare(b)),
+    appliedMigrations,
+    options
+  );
+};
+
+/**
+ * Builds the plan of what `up` would run, without touching the database. The bookkeeping
+ * records the same metadata as `applyMigration`, in the batch the run would have had,
+ * except for the duration. A dry run only reads the migrations table, so one created by an
+ * older version has to be upgraded by `setup` first.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `findMigrationsToApply`.
+ * @returns {Promise<import("./migrate.plan.js").PlannedMigration[]>} A promise that resolves to the planned migrations.
+ */
+export const planUp = async (client, options = {}) => {
+  const {
+    migrationsDir,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = options;
+  const migrationsToApply = await findMigrationsToApply(client, options);
+  if (migrationsToApply.length === 0) return [];
+
+  await assertMigrationsTableUpToDate(client, { tableSchema, tableName });
+  const batch = await getNextBatch(client, options);
+  const plan = [];
+  for (const filename of migrationsToApply) {
+    const sql = await readMigrationSource(filename, "up", migrationsDir);
+    plan.push({
+      filename,
+      sql,
+      bookkeeping: `INSERT INTO ${qualifyIdentifier(
+        tableSchema,
+        tableName
+      )} (filename, checksum, batch, hostname, tool_version) VALUES (${[
+        quoteLiteral(filename),
+        quoteLiteral(computeChecksum(sql)),
+        batch,
+        quoteLiteral(os.hostname()),
+        quoteLiteral(readVersion()),
+      ].join(", ")});`,
+    });
+  }
+  return plan;
+};
+
+/**
+ * Applies all migrations in the provided list. Each migration commits on its own,
+ * unless `singleTransaction` is set, in which case either all of them are applied or none.
  * @param {pg.Client} client - The PostgreSQL client instance.
  * @param {string[]} migrationsToApply - The migrations to apply.
+ * @param {Object} [options] - Migration options, see `applyMigration`.
+ * @param {boolean} [options.singleTransaction] - Apply the whole batch in one transaction.
+ * @param {number} [options.batch] - The batch number recorded with every migration.
+ * @returns {Promise<string[]>} The applied migrations, in the order they were applied.
  */
-export const applyMigrations = async (client, migrationsToApply) => {
-  for (const migration of migrationsToApply.sort((a, b) =>
-    a.localeCompare(b)
-  )) {
-    console.log(`Applying ${migration}...`);
-    await applyMigration(client, migration);
-    console.log(`${migration} applied successfully.`);
+export const applyMigrations = async (
+  client,
+  migrationsToApply,
+  options = {}
+) => {
+  const logger = resolveLogger(options.logger);
+  const sortedMigrations = migrationsToApply.sort((a, b) => a.localeCompare(b));
+  const applyAll = async () => {
+    for (const migration of sortedMigrations) {
+      await trackMigration(logger, { migration, direction: "up" }, () =>
+        applyMigration(client, migration, options)
+      );
+    }
+    return sortedMigrations;
+  };
+
+  return options.singleTransaction
+    ? executeInTransaction(client, applyAll)
+    : applyAll();
+};
+
+/**
+ * Applies all pending migrations, optionally up to a specific timestamp, as one batch.
+ * Fails before applying anything if an applied migration file has changed since it was applied.
+ * Adds any missing metadata columns to a migrations table set up by an older version first.
+ * @param {pg.Client} client - The PostgreSQL client instance to execute the migrations on.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.to] - The timestamp to stop at. If not provided, all migrations will be executed.
+ * @param {boolean} [options.verify=true] - Set to false to skip the checksum check.
+ * @param {boolean} [options.validate=true] - Set to false to skip checking the migrations directory first.
+ * @param {string} [options.outOfOrder=DEFAULT_OUT_OF_ORDER_POLICY] - What to do with pending migrations older than the newest applied one, one of `OUT_OF_ORDER_POLICIES`.
+ * @param {boolean} [options.dryRun] - Only plan the migrations. Nothing is written and no lock is taken.
+ * @param {boolean} [options.singleTransaction] - Apply all migrations in one transaction, all or nothing.
+ * @param {boolean} [options.dumpSchema] - Write the schema snapshot once done, see `dumpSchema`.
+ * @param {string} [options.schemaFile] - The schema snapshot file.
+ * @param {boolean} [options.lock=true] - Set to false to run without the migration lock.
+ * @param {number} [options.lockTimeout] - How long to wait for the migration lock, in milliseconds.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the progress and the events of the run, the console by default.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If the migrations directory has a problem, see `assertValidMigrations`.
+ * @throws {Error} If an applied migration no longer matches its checksum.
+ * @throws {Error} If the out-of-order policy is `strict` and a migration is out of order.
+ * @returns {Promise<{applied: string[], batch?: number, plan?: import("./migrate.plan.js").PlannedMigration[]}>} A promise that resolves to the applied migrations and their batch, or the plan on a dry run.
+ */
+export const migrateUp = async (client, options = {}) => {
+  if (!client) throw new Error("Client is not provided.");
+  if (options.validate !== false) {
+    await assertValidMigrations(options.migrationsDir);
+  }
+
+  if (options.dryRun) {
+    if (options.verify !== false) await assertChecksumsMatch(client, options);
+    return { applied: [], plan: await planUp(client, options) };
   }
+
+  return withMigrationLock(
+    client,
+    async () => {
+      await upgradeMigrationsTable(client, options);
+      if (options.verify !== false) await assertChecksumsMatch(client, options);
+
+      const migrationsToApply = await findMigrationsToApply(client, options);
+      const batch = await getNextBatch(client, options);
+      const applied = await trackRun(resolveLogger(options.logger), "up", () =>
+        applyMigrations(client, migrationsToApply, { ...options, batch })
+      );
+      if (options.dumpSchema) await dumpSchema(client, options);
+      return { applied, batch };
+    },
+    options
+  );
 };
 
 /**
  * Executes all migrations up to a specific timestamp.
  * @param {pg.Client} client - The PostgreSQL client instance to execute the migrations on.
  * @param {string} [migrationTimestamp] - The timestamp to stop at. If not provided, all migrations will be executed.
+ * @param {Object} [options] - Migration options, see `migrateUp`.
+ * @param {string} [options.output] - On a dry run, the path to write the planned SQL script to.
  * @throws {Error} If the client is not provided.
  * @throws {Error} If there is a failure during the migration process.
- * @returns {Promise<void>} A promise that resolves when all migrations have been executed.
+ * @returns {Promise<{applied: string[]}>} A promise that resolves when all migrations have been executed.
  */
-export const handleUp = async (client, migrationTimestamp) => {
-  if (!client) throw new Error("Client is not provided.");
-
+export const handleUp = async (client, migrationTimestamp, options = {}) => {
+  const logger = resolveLogger(options.logger);
   try {
-    const allMigrations = await getAllMigrations();
-    const appliedMigrations = await getAppliedMigrations(client);
-    const migrationsToApply = determineMigrationsToApply(
-      allMigrations,
-      appliedMigrations,
-      migrationTimestamp
-    );
-
-    if (migrationsToApply.length === 0) {
-      console.log("No new migrations to execute.");
-      return;
+    const result = await migrateUp(client, {
+      ...options,
+      to: migrationTimestamp,
+    });
+    if (options.dryRun) {
+      reportPlan(result.plan, {
+        direction: "up",
+        output: options.output,
+        logger: options.logger,
+      });
+    } else if (result.applied.length === 0) {
+      logger.info("No new migrations to execute.");
     }
-
-    console.log("Executing migrations:");
-    await applyMigrations(client, migrationsToApply);
+    return result;
   } catch (error) {
-    console.error("Failed to execute migrations:", error);
+    logger.error("Failed to execute migrations:", error);
     throw error;
   }
 };
@@ -1,12 +1,18 @@
 import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import {
   applyMigration,
   filterBeforeOrAtTimestamp,
   getAppliedMigrations,
   handleUp,
   determineMigrationsToApply,
+  applyOutOfOrderPolicy,
+  migrateUp,
 } from "./migrate.up.js";
-import { withClient } from "./migrate.utils.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+import { withClient, readVersion, MIGRATIONS_DIR } from "./migrate.utils.js";
 import { handleSetup } from "./migrate.setup.js";
 
 describe("Migration Up Module", () => {
@@ -50,6 +56,21 @@ describe("Migration Up Module", () => {
       });
     });
 
+    it("should not apply the migration if recording it fails", async () => {
+      await withClient(async (client) => {
+        await handleSetup(client);
+        const filename = "20230922034400001_create_users_table.apply.sql";
+        await assert.rejects(
+          applyMigration(client, filename, { tableName: "missing_table" }),
+          /relation "public.missing_table" does not exist/
+        );
+        const { rows } = await client.query(
+          "SELECT to_regclass('users') AS table"
+        );
+        assert.strictEqual(rows[0].table, null);
+      });
+    });
+
     it("should throw an error if migration file is not found", async () => {
       await withClient(async (client) => {
         const filename = "non_existent_migration.apply.sql";
@@ -118,6 +139,59 @@ describe("Migration Up Module", () => {
     });
   });
 
+  describe("applyOutOfOrderPolicy", () => {
+    const applied = [
+      "20230922034400001_create_users_table.apply.sql",
+      "20230922034400003_create_comments_table.apply.sql",
+    ];
+    const pending = [
+      "20230922034400002_create_posts_table.apply.sql",
+      "20230922034400004_create_likes_table.apply.sql",
+    ];
+
+    it("should fail on a migration older than the newest applied one when strict", () => {
+      assert.throws(
+        () => applyOutOfOrderPolicy(pending, applied, { outOfOrder: "strict" }),
+        (error) =>
+          error.code === ERROR_CODES.OUT_OF_ORDER &&
+          error.message.includes(
+            "20230922034400002_create_posts_table.apply.sql"
+          ) &&
+          !error.message.includes("create_likes_table")
+      );
+    });
+
+    it("should apply it with a warning when allowed, and skip it with a warning when ignored", () => {
+      const warnings = [];
+      const logger = { warn: (message) => warnings.push(message) };
+      assert.deepStrictEqual(
+        applyOutOfOrderPolicy(pending, applied, {
+          outOfOrder: "allow",
+          logger,
+        }),
+        pending
+      );
+      assert.deepStrictEqual(
+        applyOutOfOrderPolicy(pending, applied, {
+          outOfOrder: "ignore",
+          logger,
+        }),
+        ["20230922034400004_create_likes_table.apply.sql"]
+      );
+      assert.deepStrictEqual(warnings, [
+        "Applying migrations older than the newest applied migration: 20230922034400002_create_posts_table.apply.sql.",
+        "Skipping migrations older than the newest applied migration: 20230922034400002_create_posts_table.apply.sql.",
+      ]);
+    });
+
+    it("should reject an unknown policy", () => {
+      assert.throws(
+        () => applyOutOfOrderPolicy([], [], { outOfOrder: "sometimes" }),
+        (error) => error.code === ERROR_CODES.USAGE
+      );
+    });
+  });
+
   describe("handleUp", () => {
     it("should apply all migrations up to a specific timestamp", async () => {
       await withClient(async (client) => {
@@ -146,5 +220,161 @@ describe("Migration Up Module", () => {
         assert.deepStrictEqual(migrationsAfterApply, expected);
       });
     });
+
+    it("should only plan the migrations on a dry run", async () => {
+      await withClient(async (client) => {
+        await handleSetup(client);
+        const result = await migrateUp(client, {
+          to: "20230922034400002",
+          dryRun: true,
+        });
+        assert.deepStrictEqual(
+          result.plan.map(({ filename }) => filename),
+          [
+            "20230922034400001_create_users_table.apply.sql",
+            "20230922034400002_create_posts_table.apply.sql",
+          ]
+        );
+        assert.match(result.plan[0].sql, /CREATE TABLE users/);
+        assert.deepStrictEqual(await getAppliedMigrations(client), []);
+
+        for (const { sql, bookkeeping } of result.plan) {
+          await client.query(sql);
+          await client.query(bookkeeping);
+        }
+        const { rows } = await client.query(
+          "SELECT DISTINCT batch, hostname, tool_version FROM migrations"
+        );
+        assert.deepStrictEqual(rows, [
+          { batch: 1, hostname: os.hostname(), tool_version: readVersion() },
+        ]);
+      });
+    });
+
+    it("should report the start and outcome of every migration", async () => {
+      const events = [];
+      const logger = { event: (type, data) => events.push({ type, ...data }) };
+      await withClient(async (client) => {
+        await handleSetup(client, { logger });
+        await handleUp(client, "20230922034400002", { logger });
+      });
+
+      assert.deepStrictEqual(
+        events.map(({ type, migration }) => [type, migration]),
+        [
+          ["migration:start", "20230922034400001_create_users_table.apply.sql"],
+          [
+            "migration:success",
+            "20230922034400001_create_users_table.apply.sql",
+          ],
+          ["migration:start", "20230922034400002_create_posts_table.apply.sql"],
+          [
+            "migration:success",
+            "20230922034400002_create_posts_table.apply.sql",
+          ],
+          ["run:complete", undefined],
+        ]
+      );
+      const runComplete = events[events.length - 1];
+      assert.strictEqual(runComplete.status, "succeeded");
+      assert.strictEqual(runComplete.migrations.length, 2);
+      assert.strictEqual(typeof runComplete.durationMs, "number");
+    });
+
+    it("should apply nothing in a single transaction if one migration fails", async () => {
+      const migrationsDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "migrations-")
+      );
+      try {
+        for (const suffix of [".apply.sql", ".revert.sql"]) {
+          const filename = `20230922034400001_create_users_table${suffix}`;
+          fs.copyFileSync(
+            path.join(MIGRATIONS_DIR, filename),
+            path.join(migrationsDir, filename)
+          );
+        }
+        fs.writeFileSync(
+          path.join(migrationsDir, "20230922034400002_broken.apply.sql"),
+          "SELECT * FROM missing_table;"
+        );
+        fs.writeFileSync(
+          path.join(migrationsDir, "20230922034400002_broken.revert.sql"),
+          "SELECT 1;"
+        );
+
+        await withClient(async (client) => {
+          await handleSetup(client);
+          await assert.rejects(
+            handleUp(client, undefined, {
+              migrationsDir,
+              singleTransaction: true,
+            }),
+            /relation "missing_table" does not exist/
+          );
+          assert.deepStrictEqual(await getAppliedMigrations(client), []);
+        });
+      } finally {
+        fs.rmSync(migrationsDir, { recursive: true, force: true });
+      }
+    });
+
+    it("should apply migrations marked no-transaction outside a transaction", async () => {
+      const migrationsDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), "migrations-")
+      );
+      try {
+        for (const suffix of [".apply.sql", ".revert.sql"]) {
+          const filename = `20230922034400001_create_users_table${suffix}`;
+          fs.copyFileSync(
+            path.join(MIGRATIONS_DIR, filename),
+            path.join(migrationsDir, filename)
+          );
+        }
+        fs.writeFileSync(
+          path.join(migrationsDir, "20230922034400002_index_users.apply.sql"),
+          [
+            "-- sql-migrate: no-transaction",
+            "CREATE INDEX CONCURRENTLY users_username_idx ON users (username);",
+            "CREATE INDEX CONCURRENTLY users_created_at_idx ON users (created_at);",
+          ].join("\n")
+        );
+        fs.writeFileSync(
+          path.join(migrationsDir, "20230922034400002_index_users.revert.sql"),
+          "DROP INDEX users_username_idx, users_created_at_idx;"
+        );
+
+        await withClient(async (client) => {
+          await handleSetup(client);
+          await handleUp(client, undefined, { migrationsDir });
+          assert.deepStrictEqual(await getAppliedMigrations(client), [
+            "20230922034400001_create_users_table.apply.sql",
+            "20230922034400002_index_users.apply.sql",
+          ]);
+          const { rows } = await client.query(
+            "SELECT indexname FROM pg_indexes WHERE tablename = 'users' AND indexname LIKE 'users_%_idx' ORDER BY indexname"
+          );
+          assert.deepStrictEqual(
+            rows.map(({ indexname }) => indexname),
+            ["users_created_at_idx", "users_username_idx"]
+          );
+
+          await client.query(
+            "DELETE FROM migrations WHERE filename LIKE '%index_users%'"
+          );
+          await client.query(
+            "DROP INDEX users_username_idx, users_created_at_idx"
+          );
+          await assert.rejects(
+            handleUp(client, undefined, {
+              migrationsDir,
+              singleTransaction: true,
+            }),
+            /marked 'no-transaction' and cannot run inside a transaction/
+          );
+        });
+      } finally {
+        fs.rmSync(migrationsDir, { recursive: true, force: true });
+      }
+    });
   });
 });
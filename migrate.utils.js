@@ -1,68 +1,257 @@
-import dotenv from "dotenv";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import pg from "pg";
+import {
+  hasDirective,
+  splitStatements,
+  NO_TRANSACTION_DIRECTIVE,
+} from "./migrate.sql.js";
+import {
+  readEnvFiles,
+  connectionFromVariables,
+  DEFAULT_ENV,
+} from "./migrate.config.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { resolveLogger } from "./migrate.logger.js";
 
 /**
  * @typedef {import("pg").Client} Client
  */
 
-export const ENV = process.env.NODE_ENV || "development";
-dotenv.config({ path: `.db.${ENV}` });
-if (!process.env.DB_USER) {
-  throw new Error("DB_USER is not defined in the environment variables.");
-}
+// Defaults for the current NODE_ENV. See `resolveConfig` in migrate.config.js
+// for the full resolution including CLI flags and config files.
+export const ENV = process.env.NODE_ENV || DEFAULT_ENV;
+const ENV_VARIABLES = { ...readEnvFiles(ENV), ...process.env };
 
+export const DEFAULT_MIGRATIONS_SCHEMA =
+  ENV_VARIABLES.DB_MIGRATIONS_SCHEMA || "public";
+export const DEFAULT_MIGRATIONS_TABLE =
+  ENV_VARIABLES.DB_MIGRATIONS_TABLE || "migrations";
 export const MIGRATIONS_DIR = path.join(process.cwd(), `migrations_${ENV}/`);
-export const DB_CONFIG = {
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: parseInt(process.env.DB_PORT, 10),
+export const DB_CONFIG = connectionFromVariables(ENV_VARIABLES);
+
+/**
+ * Reads the version of the package, which is recorded with every applied migration.
+ * @returns {string} The version from package.json.
+ */
+export const readVersion = () =>
+  JSON.parse(
+    fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")
+  ).version;
+
+/**
+ * Creates and connects a PostgreSQL client.
+ * @param {Object} [config=DB_CONFIG] - The connection config passed to `pg.Client`.
+ * @returns {Promise<Client>} - A promise that resolves to the connected client.
+ * @throws {Error} If neither a connection string nor a database user is configured.
+ */
+export const connectClient = async (config = DB_CONFIG) => {
+  if (!config.connectionString && !config.user) {
+    throw createError(
+      ERROR_CODES.CONFIG,
+      "No database configured. Pass --database-url, set DATABASE_URL, add a sql-migrate.config.json, or define DB_USER in .db.<env>."
+    );
+  }
+  const client = new pg.Client(config);
+  await client.connect();
+  return client;
+};
+
+/**
+ * Quotes a SQL identifier such as a table name.
+ * @param {string} identifier - The identifier to quote.
+ * @returns {string} The quoted identifier.
+ */
+export const quoteIdentifier = (identifier) =>
+  `"${String(identifier).replace(/"/g, '""')}"`;
+
+/**
+ * Quotes a schema-qualified SQL identifier such as `"public"."migrations"`.
+ * @param {string} schema - The schema name.
+ * @param {string} identifier - The identifier within the schema.
+ * @returns {string} The quoted, qualified identifier.
+ */
+export const qualifyIdentifier = (schema, identifier) =>
+  `${quoteIdentifier(schema)}.${quoteIdentifier(identifier)}`;
+
+/**
+ * Quotes a SQL string literal, for statements written to scripts rather than run with parameters.
+ * @param {string} value - The value to quote.
+ * @returns {string} The quoted literal.
+ */
+export const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Formats rows of cells as a plain text table with aligned columns.
+ * @param {string[][]} rows - The rows, the header first.
+ * @returns {string} The table.
+ */
+export const formatTable = (rows) => {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
 };
 
 /**
  * Retrieves all migration files from the migrations directory.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
  * @returns {Promise<string[]>} - A promise that resolves to an array of filenames of all migrations.
  */
-export const getAllMigrations = async () =>
-  await fs.promises.readdir(MIGRATIONS_DIR);
+export const getAllMigrations = async (migrationsDir = MIGRATIONS_DIR) =>
+  await fs.promises.readdir(migrationsDir);
 
 /**
  * Reads the content of a migration file.
  * @param {string} filename - The name of the migration file.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
  * @returns {Promise<string>} - A promise that resolves to the content of the migration file.
  * @throws {Error} If reading the file fails.
  */
-export const readMigrationContent = async (filename) => {
+export const readMigrationContent = async (
+  filename,
+  migrationsDir = MIGRATIONS_DIR
+) => {
   return await fs.promises.readFile(
-    path.join(MIGRATIONS_DIR, filename),
+    path.join(migrationsDir, filename),
     "utf-8"
   );
 };
 
 /**
- * Executes SQL within a transaction.
+ * Computes the checksum recorded for a migration.
+ * @param {string} content - The content of the migration file.
+ * @returns {string} The SHA-256 hex digest of the content.
+ */
+export const computeChecksum = (content) =>
+  crypto.createHash("sha256").update(content, "utf-8").digest("hex");
+
+/**
+ * Tracks how deeply each client is nested in `executeInTransaction`.
+ * @type {WeakMap<Client, number>}
+ */
+const transactionDepths = new WeakMap();
+
+/**
+ * Executes SQL within a transaction. When the client is already inside one,
+ * the action runs in a savepoint instead, so it can roll back on its own
+ * while the outer transaction decides whether everything commits.
+ *
  * @param {pg.Client} client - The PostgreSQL client instance.
  * @param {function} action - The function containing SQL operations to execute.
+ * @returns {Promise<*>} - A promise that resolves to the result of the action.
  */
 export async function executeInTransaction(client, action) {
+  const depth = transactionDepths.get(client) || 0;
+  const savepoint = `sql_migrate_${depth}`;
+
+  await client.query(depth === 0 ? "BEGIN" : `SAVEPOINT ${savepoint}`);
+  transactionDepths.set(client, depth + 1);
   try {
-    await client.query("BEGIN");
-    await action();
-    await client.query("COMMIT");
+    const result = await action();
+    await client.query(
+      depth === 0 ? "COMMIT" : `RELEASE SAVEPOINT ${savepoint}`
+    );
+    return result;
   } catch (error) {
-    await client.query("ROLLBACK");
+    await client.query(
+      depth === 0 ? "ROLLBACK" : `ROLLBACK TO SAVEPOINT ${savepoint}`
+    );
     throw error;
+  } finally {
+    transactionDepths.set(client, depth);
   }
 }
 
-// Load environment variables
-dotenv.config({ path: `.env.${ENV}` });
+/**
+ * Checks whether a client is inside `executeInTransaction`.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @returns {boolean} True if a transaction is open.
+ */
+export const isInTransaction = (client) =>
+  (transactionDepths.get(client) || 0) > 0;
+
+/**
+ * Runs the body of a migration followed by its bookkeeping. The body is either
+ * SQL, or a function that is called with the client, as JavaScript migrations export.
+ *
+ * Normally both run in one transaction. SQL marked with
+ * `-- sql-migrate: no-transaction` run statement by statement outside of a
+ * transaction instead, for statements such as `CREATE INDEX CONCURRENTLY`;
+ * if one of those fails, the statements before it stay applied.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {string} filename - The name of the migration file.
+ * @param {string|function(pg.Client): Promise<*>} body - The SQL of the migration, or the function to call.
+ * @param {function(): Promise<*>} record - Updates the migrations table once the body has run.
+ * @param {import("./migrate.logger.js").Logger} [logger] - Receives the warning about running outside a transaction, the console by default.
+ * @throws {Error} If a no-transaction migration is run inside a transaction.
+ * @throws {Error} If the body or the bookkeeping fails.
+ */
+export const executeMigration = async (
+  client,
+  filename,
+  body,
+  record,
+  logger
+) => {
+  if (typeof body === "function") {
+    await executeInTransaction(client, async () => {
+      await body(client);
+      await record();
+    });
+    return;
+  }
+
+  const sql = body;
+  if (!hasDirective(sql, NO_TRANSACTION_DIRECTIVE)) {
+    await executeInTransaction(client, async () => {
+      await executeSQL(client, sql);
+      await record();
+    });
+    return;
+  }
+
+  if (isInTransaction(client)) {
+    throw new Error(
+      `${filename} is marked '${NO_TRANSACTION_DIRECTIVE}' and cannot run inside a transaction. Run it without --single-transaction.`
+    );
+  }
+
+  resolveLogger(logger).warn(
+    `Warning: ${filename} runs outside a transaction. If it fails partway through, the statements already executed stay applied and must be cleaned up by hand.`
+  );
+  const statements = splitStatements(sql);
+  for (const [index, statement] of statements.entries()) {
+    try {
+      await executeSQL(client, statement);
+    } catch (error) {
+      throw new Error(
+        `${filename} failed at statement ${index + 1} of ${
+          statements.length
+        } outside a transaction; the ${index} statements before it stay applied and need manual cleanup: ${
+          error.message
+        }`,
+        { cause: error }
+      );
+    }
+  }
+  await record();
+};
 
 /**
  * Executes a SQL query using a database client.
+ * It does not open a transaction of its own, so it joins the one the caller is in, if any.
+ * Use `executeInTransaction` to make several statements atomic.
  *
  * @param {Client} client - The database client.
  * @param {string} sql - The SQL query to execute.
@@ -71,15 +260,7 @@ dotenv.config({ path: `.env.${ENV}` });
  * @throws {Error} If the query fails.
  */
 export async function executeSQL(client, sql, params = []) {
-  try {
-    await client.query("BEGIN;");
-    const result = await client.query(sql, params);
-    await client.query("COMMIT;");
-    return result;
-  } catch (error) {
-    await client.query("ROLLBACK;");
-    throw error;
-  }
+  return await client.query(sql, params);
 }
 
 /**
@@ -44,3 +44,45 @@ it("should execute SQL within a transaction", async () => {
     assert(false, "Transaction failed");
   });
 });
+
+describe("executeInTransaction", () => {
+  it("should roll back every statement when the action fails", async () => {
+    await withClient(async (client) => {
+      await assert.rejects(
+        executeInTransaction(client, async () => {
+          await executeSQL(client, "CREATE TABLE transaction_test (id INT)");
+          throw new Error("boom");
+        }),
+        /boom/
+      );
+      const { rows } = await client.query(
+        "SELECT to_regclass('transaction_test') AS table"
+      );
+      assert.strictEqual(rows[0].table, null);
+    });
+  });
+
+  it("should roll back a nested action on its own", async () => {
+    await withClient(async (client) => {
+      await executeInTransaction(client, async () => {
+        await executeSQL(client, "CREATE TABLE outer_test (id INT)");
+        await executeInTransaction(client, async () => {
+          await executeSQL(client, "CREATE TABLE inner_test (id INT)");
+          throw new Error("boom");
+        }).catch(() => {});
+      });
+      const { rows } = await client.query(
+        "SELECT to_regclass('outer_test') AS outer, to_regclass('inner_test') AS inner"
+      );
+      assert.strictEqual(rows[0].outer, "outer_test");
+      assert.strictEqual(rows[0].inner, null);
+    });
+  });
+
+  it("should return the result of the action", async () => {
+    await withClient(async (client) => {
+      const result = await executeInTransaction(client, async () => 42);
+      assert.strictEqual(result, 42);
+    });
+  });
+});
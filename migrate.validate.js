@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { MIGRATIONS_DIR } from "./migrate.utils.js";
+import {
+  parseMigrationSections,
+  APPLY_MIGRATION_FILE_SUFFIX,
+  REVERT_MIGRATION_FILE_SUFFIX,
+} from "./migrate.loader.js";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+import { resolveLogger } from "./migrate.logger.js";
+
+/**
+ * The pattern every migration filename follows: a timestamp, an underscore,
+ * a name of letters, digits, `_` or `-`, and one of the migration suffixes.
+ */
+export const MIGRATION_FILENAME_PATTERN =
+  /^(\d+)_([\w-]+)(\.apply\.sql|\.revert\.sql|\.sql|\.js)$/;
+
+/**
+ * Files that may sit next to the migrations: hidden files such as `.gitkeep`,
+ * and the `package.json` that JavaScript migrations may need.
+ * @param {string} filename - The filename.
+ * @returns {boolean} True if the file is not checked.
+ */
+const isIgnoredFile = (filename) =>
+  filename.startsWith(".") || filename === "package.json";
+
+/**
+ * @typedef {Object} MigrationFile
+ * @property {string} filename - The filename.
+ * @property {boolean} isFile - False for directories and other entries that are not regular files.
+ * @property {string} [content] - The content of a regular file.
+ */
+
+/**
+ * @typedef {Object} MigrationProblem
+ * @property {string[]} filenames - The files the problem is about.
+ * @property {string} message - A description of the problem naming the files.
+ */
+
+/**
+ * Finds what is wrong with the files of a migrations directory: entries that are not
+ * migrations, filenames that don't follow `<timestamp>_<name>`, empty files, `.apply.sql`
+ * and `.revert.sql` files without their counterpart, migrations sharing a timestamp,
+ * and single-file migrations whose sections can't be parsed.
+ *
+ * @param {MigrationFile[]} files - The entries of the migrations directory.
+ * @returns {MigrationProblem[]} The problems, empty if the directory is valid.
+ */
+export const findMigrationProblems = (files) => {
+  const problems = [];
+  const report = (filenames, message) => problems.push({ filenames, message });
+  const filenames = new Set(files.map(({ filename }) => filename));
+  const migrationsByTimestamp = new Map();
+
+  for (const { filename, isFile, content } of files) {
+    if (isIgnoredFile(filename)) continue;
+
+    const match = filename.match(MIGRATION_FILENAME_PATTERN);
+    if (!isFile) {
+      report([filename], `${filename} is not a migration file.`);
+      continue;
+    }
+    if (!match) {
+      report(
+        [filename],
+        /\.(sql|js)$/.test(filename)
+          ? `${filename} does not follow the <timestamp>_<name> pattern.`
+          : `${filename} is not a migration file.`
+      );
+      continue;
+    }
+
+    const [, timestamp, name, suffix] = match;
+    const paired =
+      suffix === APPLY_MIGRATION_FILE_SUFFIX ||
+      suffix === REVERT_MIGRATION_FILE_SUFFIX;
+    const migration = paired ? `${timestamp}_${name}` : filename;
+    const sharing = migrationsByTimestamp.get(timestamp) || new Map();
+    sharing.set(migration, [...(sharing.get(migration) || []), filename]);
+    migrationsByTimestamp.set(timestamp, sharing);
+
+    if (content.trim() === "") {
+      report([filename], `${filename} is empty.`);
+    } else if (suffix === ".sql") {
+      try {
+        const { up } = parseMigrationSections(content, filename);
+        if (up.trim() === "") {
+          report([filename], `${filename} has an empty up section.`);
+        }
+      } catch (error) {
+        report([filename], error.message);
+      }
+    }
+
+    if (paired) {
+      const counterpart =
+        suffix === APPLY_MIGRATION_FILE_SUFFIX
+          ? `${timestamp}_${name}${REVERT_MIGRATION_FILE_SUFFIX}`
+          : `${timestamp}_${name}${APPLY_MIGRATION_FILE_SUFFIX}`;
+      if (!filenames.has(counterpart)) {
+        report([filename], `${filename} has no matching ${counterpart}.`);
+      }
+    }
+  }
+
+  for (const [timestamp, migrations] of migrationsByTimestamp) {
+    if (migrations.size > 1) {
+      const sharing = [...migrations.values()].flat();
+      report(
+        sharing,
+        `Migrations share the timestamp ${timestamp}: ${sharing.join(", ")}.`
+      );
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Reads the entries of a migrations directory for `findMigrationProblems`.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
+ * @returns {Promise<MigrationFile[]>} A promise that resolves to the entries, ordered by filename.
+ */
+export const readMigrationFiles = async (migrationsDir = MIGRATIONS_DIR) => {
+  const entries = await fs.promises.readdir(migrationsDir, {
+    withFileTypes: true,
+  });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  return Promise.all(
+    entries.map(async (entry) => ({
+      filename: entry.name,
+      isFile: entry.isFile(),
+      content: entry.isFile()
+        ? await fs.promises.readFile(
+            path.join(migrationsDir, entry.name),
+            "utf-8"
+          )
+        : undefined,
+    }))
+  );
+};
+
+/**
+ * Checks a migrations directory without failing on the problems it finds.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
+ * @returns {Promise<{migrations: number, problems: MigrationProblem[]}>} A promise that resolves to the number of migration files checked and the problems found.
+ */
+export const validateMigrations = async (migrationsDir = MIGRATIONS_DIR) => {
+  const files = await readMigrationFiles(migrationsDir);
+  return {
+    migrations: files.filter(({ filename }) => !isIgnoredFile(filename)).length,
+    problems: findMigrationProblems(files),
+  };
+};
+
+/**
+ * Checks a migrations directory, as `up` and `down` do before running anything.
+ * @param {string} [migrationsDir=MIGRATIONS_DIR] - The directory holding the migrations.
+ * @throws {Error} If the directory has any problem, listing every one.
+ * @returns {Promise<{migrations: number, problems: MigrationProblem[]}>} A promise that resolves to the number of migration files checked and no problems.
+ */
+export const assertValidMigrations = async (migrationsDir = MIGRATIONS_DIR) => {
+  const result = await validateMigrations(migrationsDir);
+  if (result.problems.length > 0) {
+    throw createError(
+      ERROR_CODES.INVALID_MIGRATIONS,
+      [
+        `Found ${result.problems.length} problems in ${migrationsDir}:`,
+        ...result.problems.map(({ message }) => `  - ${message}`),
+        "Fix them, or pass --no-validate to run anyway.",
+      ].join("\n")
+    );
+  }
+  return result;
+};
+
+/**
+ * Validates the migrations directory and reports the outcome.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome, the console by default.
+ * @throws {Error} If the directory has any problem.
+ * @returns {Promise<{migrations: number, problems: MigrationProblem[]}>} A promise that resolves to the number of migration files checked.
+ */
+export const handleValidate = async (options = {}) => {
+  const result = await assertValidMigrations(options.migrationsDir);
+  resolveLogger(options.logger).info(
+    `${result.migrations} migration files are valid.`
+  );
+  return result;
+};
+
+export default handleValidate;
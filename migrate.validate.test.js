@@ -0,0 +1,175 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { withClient, MIGRATIONS_DIR } from "./migrate.utils.js";
+import {
+  findMigrationProblems,
+  validateMigrations,
+  assertValidMigrations,
+} from "./migrate.validate.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp } from "./migrate.up.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+
+const file = (filename, content = "SELECT 1;\n") => ({
+  filename,
+  isFile: true,
+  content,
+});
+
+describe("findMigrationProblems", () => {
+  it("should accept paired, single-file and JavaScript migrations", () => {
+    assert.deepStrictEqual(
+      findMigrationProblems([
+        file(".gitkeep", ""),
+        file("package.json", '{"type":"module"}'),
+        file("20230922034400001_create_users_table.apply.sql"),
+        file("20230922034400001_create_users_table.revert.sql"),
+        file(
+          "20230922034400002_create_likes_table.sql",
+          "-- +migrate up\nSELECT 1;\n-- +migrate down\nSELECT 2;\n"
+        ),
+        file("20230922034400003_seed_users.js", "export const up = () => {};"),
+      ]),
+      []
+    );
+  });
+
+  it("should report unpaired files with the counterpart they miss", () => {
+    assert.deepStrictEqual(
+      findMigrationProblems([
+        file("20230922034400001_create_users_table.apply.sql"),
+        file("20230922034400002_create_posts_table.revert.sql"),
+      ]).map(({ message }) => message),
+      [
+        "20230922034400001_create_users_table.apply.sql has no matching 20230922034400001_create_users_table.revert.sql.",
+        "20230922034400002_create_posts_table.revert.sql has no matching 20230922034400002_create_posts_table.apply.sql.",
+      ]
+    );
+  });
+
+  it("should report bad names, stray entries and empty files", () => {
+    assert.deepStrictEqual(
+      findMigrationProblems([
+        file("create_users_table.apply.sql"),
+        file("notes.txt"),
+        { filename: "archive", isFile: false },
+        file("20230922034400001_create_users_table.apply.sql", "  \n"),
+        file("20230922034400001_create_users_table.revert.sql"),
+      ]),
+      [
+        {
+          filenames: ["create_users_table.apply.sql"],
+          message:
+            "create_users_table.apply.sql does not follow the <timestamp>_<name> pattern.",
+        },
+        {
+          filenames: ["notes.txt"],
+          message: "notes.txt is not a migration file.",
+        },
+        {
+          filenames: ["archive"],
+          message: "archive is not a migration file.",
+        },
+        {
+          filenames: ["20230922034400001_create_users_table.apply.sql"],
+          message: "20230922034400001_create_users_table.apply.sql is empty.",
+        },
+      ]
+    );
+  });
+
+  it("should report migrations that share a timestamp", () => {
+    const problems = findMigrationProblems([
+      file("20230922034400001_create_users_table.apply.sql"),
+      file("20230922034400001_create_users_table.revert.sql"),
+      file(
+        "20230922034400001_create_posts_table.sql",
+        "-- +migrate up\nSELECT 1;\n"
+      ),
+    ]);
+    assert.deepStrictEqual(problems, [
+      {
+        filenames: [
+          "20230922034400001_create_users_table.apply.sql",
+          "20230922034400001_create_users_table.revert.sql",
+          "20230922034400001_create_posts_table.sql",
+        ],
+        message:
+          "Migrations share the timestamp 20230922034400001: 20230922034400001_create_users_table.apply.sql, 20230922034400001_create_users_table.revert.sql, 20230922034400001_create_posts_table.sql.",
+      },
+    ]);
+  });
+
+  it("should report single-file migrations that can't be parsed", () => {
+    const [problem] = findMigrationProblems([
+      file(
+        "20230922034400001_create_users_table.sql",
+        "CREATE TABLE users ();"
+      ),
+    ]);
+    assert.deepStrictEqual(problem.filenames, [
+      "20230922034400001_create_users_table.sql",
+    ]);
+    assert.match(problem.message, /20230922034400001_create_users_table\.sql/);
+  });
+});
+
+describe("assertValidMigrations", () => {
+  let migrationsDir;
+
+  beforeEach(() => {
+    migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(migrationsDir, { recursive: true, force: true });
+  });
+
+  it("should accept the test migrations", async () => {
+    const { migrations, problems } = await validateMigrations(MIGRATIONS_DIR);
+    assert.strictEqual(migrations, fs.readdirSync(MIGRATIONS_DIR).length);
+    assert.deepStrictEqual(problems, []);
+  });
+
+  it("should list every problem in one error", async () => {
+    fs.writeFileSync(
+      path.join(
+        migrationsDir,
+        "20230922034400001_create_users_table.apply.sql"
+      ),
+      ""
+    );
+    fs.mkdirSync(path.join(migrationsDir, "old"));
+
+    await assert.rejects(assertValidMigrations(migrationsDir), (error) => {
+      assert.strictEqual(error.code, ERROR_CODES.INVALID_MIGRATIONS);
+      assert.match(error.message, /^Found 3 problems in /);
+      assert.match(error.message, /create_users_table\.apply\.sql is empty/);
+      assert.match(error.message, /no matching .*\.revert\.sql/);
+      assert.match(error.message, /old is not a migration file/);
+      return true;
+    });
+  });
+
+  it("should stop up before it applies anything", async () => {
+    fs.writeFileSync(
+      path.join(
+        migrationsDir,
+        "20230922034400001_create_users_table.apply.sql"
+      ),
+      "CREATE TABLE users (id SERIAL PRIMARY KEY);"
+    );
+
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await assert.rejects(
+        handleUp(client, undefined, { migrationsDir }),
+        /has no matching/
+      );
+      const { rows } = await client.query("SELECT filename FROM migrations");
+      assert.deepStrictEqual(rows, []);
+    });
+  });
+});
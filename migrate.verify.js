@@ -0,0 +1,129 @@
+import {
+  computeChecksum,
+  qualifyIdentifier,
+  DEFAULT_MIGRATIONS_SCHEMA,
+  DEFAULT_MIGRATIONS_TABLE,
+} from "./migrate.utils.js";
+import { readMigrationSourceIfExists } from "./migrate.loader.js";
+import { assertMigrationsTableUpToDate } from "./migrate.setup.js";
+import { resolveLogger } from "./migrate.logger.js";
+import pg from "pg";
+import { createError, ERROR_CODES } from "./migrate.errors.js";
+
+/**
+ * @typedef {Object} ChecksumMismatch
+ * @property {string} filename - The filename of the applied migration.
+ * @property {string} expected - The checksum recorded when the migration was applied.
+ * @property {string} actual - The checksum of the file as it is now.
+ */
+
+/**
+ * @typedef {Object} ChecksumReport
+ * @property {string[]} verified - Applied migrations whose file matches the recorded checksum.
+ * @property {ChecksumMismatch[]} mismatched - Applied migrations whose file has changed since.
+ * @property {string[]} unrecorded - Applied migrations without a recorded checksum, e.g. applied by an older version.
+ */
+
+/**
+ * Compares the checksum of every applied migration with its file.
+ * Applied migrations whose file no longer exists are left to `status` to report.
+ *
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options.
+ * @param {string} [options.migrationsDir] - The directory holding the migrations.
+ * @param {string} [options.tableSchema] - The schema of the migrations table.
+ * @param {string} [options.tableName] - The name of the migrations table.
+ * @throws {Error} If the client is not provided.
+ * @throws {Error} If the migrations table predates the `checksum` column and needs `setup`.
+ * @returns {Promise<ChecksumReport>} A promise that resolves to the comparison.
+ */
+export const checkMigrationChecksums = async (
+  client,
+  {
+    migrationsDir,
+    tableSchema = DEFAULT_MIGRATIONS_SCHEMA,
+    tableName = DEFAULT_MIGRATIONS_TABLE,
+  } = {}
+) => {
+  if (!client) throw new Error("Client is not provided.");
+  await assertMigrationsTableUpToDate(client, { tableSchema, tableName });
+
+  const { rows } = await client.query(
+    `SELECT filename, checksum FROM ${qualifyIdentifier(
+      tableSchema,
+      tableName
+    )} ORDER BY filename`
+  );
+  const report = { verified: [], mismatched: [], unrecorded: [] };
+
+  for (const { filename, checksum } of rows) {
+    const content = await readMigrationSourceIfExists(
+      filename,
+      "up",
+      migrationsDir
+    );
+    if (content === null) continue;
+
+    const actual = computeChecksum(content);
+    if (!checksum) {
+      report.unrecorded.push(filename);
+    } else if (checksum !== actual) {
+      report.mismatched.push({ filename, expected: checksum, actual });
+    } else {
+      report.verified.push(filename);
+    }
+  }
+  return report;
+};
+
+/**
+ * Fails when any applied migration file has changed since it was applied.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `checkMigrationChecksums`.
+ * @throws {Error} If an applied migration no longer matches its checksum.
+ * @returns {Promise<ChecksumReport>} A promise that resolves to the comparison.
+ */
+export const assertChecksumsMatch = async (client, options = {}) => {
+  const report = await checkMigrationChecksums(client, options);
+  if (report.mismatched.length > 0) {
+    const filenames = report.mismatched.map(({ filename }) => filename);
+    throw createError(
+      ERROR_CODES.CHECKSUM_MISMATCH,
+      `Applied migrations have been modified since they were applied: ${filenames.join(
+        ", "
+      )}. Restore the original files, or run 'repair' to accept the changes.`
+    );
+  }
+  return report;
+};
+
+/**
+ * Verifies that no applied migration file has changed since it was applied.
+ * @param {pg.Client} client - The PostgreSQL client instance.
+ * @param {Object} [options] - Migration options, see `checkMigrationChecksums`.
+ * @param {import("./migrate.logger.js").Logger} [options.logger] - Receives the outcome, the console by default.
+ * @throws {Error} If an applied migration no longer matches its checksum.
+ * @returns {Promise<ChecksumReport>} A promise that resolves to the comparison.
+ */
+export const handleVerify = async (client, options = {}) => {
+  const logger = resolveLogger(options.logger);
+  try {
+    const report = await assertChecksumsMatch(client, options);
+    logger.info(
+      `${report.verified.length} applied migrations match their checksums.`
+    );
+    if (report.unrecorded.length > 0) {
+      logger.warn(
+        `No checksum recorded for: ${report.unrecorded.join(
+          ", "
+        )}. Run 'repair' to record them.`
+      );
+    }
+    return report;
+  } catch (error) {
+    logger.error("Failed to verify migrations:", error);
+    throw error;
+  }
+};
+
+export default handleVerify;
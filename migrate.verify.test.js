@@ -0,0 +1,104 @@
+import assert from "assert";
+import { withClient } from "./migrate.utils.js";
+import { handleSetup } from "./migrate.setup.js";
+import { handleUp } from "./migrate.up.js";
+import {
+  checkMigrationChecksums,
+  assertChecksumsMatch,
+} from "./migrate.verify.js";
+import { silentLogger } from "./migrate.logger.js";
+import { ERROR_CODES } from "./migrate.errors.js";
+
+const usersMigration = "20230922034400001_create_users_table.apply.sql";
+
+describe("checkMigrationChecksums", () => {
+  it("should verify migrations applied with a checksum", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      const report = await checkMigrationChecksums(client);
+      assert.deepStrictEqual(report, {
+        verified: [usersMigration],
+        mismatched: [],
+        unrecorded: [],
+      });
+    });
+  });
+
+  it("should report migrations whose checksum no longer matches", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await client.query("UPDATE migrations SET checksum = 'outdated'");
+      const report = await checkMigrationChecksums(client);
+      assert.strictEqual(report.mismatched.length, 1);
+      assert.strictEqual(report.mismatched[0].filename, usersMigration);
+      assert.strictEqual(report.mismatched[0].expected, "outdated");
+    });
+  });
+
+  it("should report migrations without a checksum as unrecorded", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await client.query("UPDATE migrations SET checksum = NULL");
+      const report = await checkMigrationChecksums(client);
+      assert.deepStrictEqual(report.unrecorded, [usersMigration]);
+    });
+  });
+
+  it("should ask for setup on a migrations table from an older version", async () => {
+    await withClient(async (client) => {
+      await client.query(`
+        CREATE TABLE migrations (
+          id SERIAL PRIMARY KEY,
+          filename VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+        );
+        INSERT INTO migrations (filename) VALUES ('${usersMigration}');
+      `);
+      await assert.rejects(
+        checkMigrationChecksums(client),
+        (error) =>
+          error.code === ERROR_CODES.CONFIG &&
+          /lacks the columns checksum.*Run setup/.test(error.message)
+      );
+      await assert.rejects(
+        handleUp(client, undefined, { dryRun: true, logger: silentLogger }),
+        (error) => error.code === ERROR_CODES.CONFIG
+      );
+
+      await handleSetup(client);
+      assert.deepStrictEqual(
+        (await checkMigrationChecksums(client)).unrecorded,
+        [usersMigration]
+      );
+    });
+  });
+});
+
+describe("assertChecksumsMatch", () => {
+  it("should throw an error naming the modified migrations", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await client.query("UPDATE migrations SET checksum = 'outdated'");
+      await assert.rejects(
+        assertChecksumsMatch(client),
+        new RegExp(`modified since they were applied: ${usersMigration}`)
+      );
+    });
+  });
+
+  it("should keep up from applying migrations after a modification", async () => {
+    await withClient(async (client) => {
+      await handleSetup(client);
+      await handleUp(client, "20230922034400001");
+      await client.query("UPDATE migrations SET checksum = 'outdated'");
+      await assert.rejects(
+        handleUp(client),
+        /modified since they were applied/
+      );
+    });
+  });
+});